@@ -1,16 +1,121 @@
 const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
-const minify = require('minify');
-const https = require('https');
+const CleanCSS = require('clean-css');
+const terser = require('terser');
+const http = require('http');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const { tokenizeSearchText } = require('./src/scripts/search');
 
 class PerformanceBuilder {
-    constructor() {
+    // Options: offline, force, watch, debug, minify (default true), env ('production' or 'staging'), outDir and
+    // pages (outputs or data/pages names to build - all when empty). See parseArgs for the matching flags.
+    constructor(options = {}) {
+        this.options = { env: 'production', minify: true, pages: [], ...options };
         this.srcDir = path.join(__dirname, 'src');
         this.dataDir = path.join(__dirname, 'data');
-        this.distDir = path.join(__dirname, 'dist');
+        this.distDir = this.options.outDir ? path.resolve(this.options.outDir) : path.join(__dirname, 'dist');
         this.templatesDir = path.join(this.srcDir, 'templates');
+        this.templateCache = new Map();
+        this.templateGlobals = {};
+
+        // Scripts each component needs at runtime; every page also gets app (see getScriptRegistry). The header only
+        // needs the cart badge and dropdown - the checkout is loaded when someone checks out.
+        this.componentScripts = {
+            header: ['cart'],
+            shop: ['cart', 'checkout', 'shopify-client', 'search'],
+            collection: ['cart', 'checkout', 'shopify-client'],
+            'product-detail': ['cart', 'checkout', 'shopify-client']
+        };
+
+        // Props of a page's "page" block; components declare theirs in src/templates/components/<name>.props.json
+        this.pageProps = {
+            title: { type: 'string', required: true },
+            description: { type: 'string' },
+            components: { type: 'array', required: true, items: { type: 'string' } },
+            scripts: { type: 'array', items: { type: 'string' } },
+            canonical: { type: 'string' },
+            noindex: { type: 'boolean' },
+            feed: { type: 'boolean' },
+            social: { type: 'object' },
+            structuredData: { type: 'array' }
+        };
+        
+        // SHOPIFY_CONFIG settings, layered from config/default.json, config/<env>.json and these environment variables
+        // (see getRuntimeConfig). Anything under "private" stays in the build.
+        this.configDir = path.join(__dirname, 'config');
+        this.runtimeConfigEnv = {
+            SHOPIFY_DOMAIN: ['domain'],
+            SHOPIFY_STOREFRONT_ACCESS_TOKEN: ['storefrontAccessToken'],
+            SHOPIFY_API_VERSION: ['apiVersion'],
+            SHOPIFY_API_URL: ['baseUrl'],
+            SHOPIFY_ADMIN_ACCESS_TOKEN: ['private', 'adminAccessToken']
+        };
+        this.runtimeConfigProps = {
+            domain: { type: 'string', required: true },
+            storefrontAccessToken: { type: 'string' },
+            apiVersion: { type: 'string', required: true },
+            baseUrl: { type: 'string', required: true },
+            checkout: {
+                type: 'object',
+                props: {
+                    maxItems: { type: 'number' },
+                    maxQuantityPerItem: { type: 'number' },
+                    autoRedirect: { type: 'boolean' },
+                    mockCheckoutUrl: { type: 'string' }
+                }
+            },
+            cart: {
+                type: 'object',
+                props: {
+                    persistLocal: { type: 'boolean' },
+                    syncWithShopify: { type: 'boolean' },
+                    useMockData: { type: 'boolean' }
+                }
+            },
+            products: {
+                type: 'object',
+                props: {
+                    defaultImage: { type: 'string' },
+                    imageLoading: { type: 'string' }
+                }
+            },
+            private: { type: 'object' }
+        };
+
+        // Product catalog, set by a plugin (see setCatalog) - empty without the shop plugin
+        this.catalog = null;
+        this.catalogSource = null;
+        this.taxonomyPath = path.join(this.dataDir, 'taxonomy.json');
+
+        // Site-wide component data (header, footer, ...) that every page inherits
+        this.componentsDataDir = path.join(this.dataDir, 'components');
+
+        // Markdown blog posts with front matter
+        this.postsDir = path.join(this.dataDir, 'posts');
+
+        // Inputs (source files and catalog slices) each output page read during its last build, with their hashes
+        this.buildManifestPath = path.join(this.dataDir, 'cache', 'build-manifest.json');
+        this.sizeReportPath = path.join(this.dataDir, 'cache', 'size-report.json');
+        this.dependencies = new Map();
+        this.currentDependencies = null;
+        this.inputHashes = new Map();
+        this.liveReloadClients = new Set();
+
+        // Files outside the usual source folders that watch mode also rebuilds on, added by plugins
+        this.watchFiles = new Set();
+
+        // Built-in plugins, and the plugins listed in site-config.json once loaded (see getPlugins)
+        this.pluginsDir = path.join(__dirname, 'plugins');
+        this.plugins = null;
+        this.pluginHooks = ['beforeBuild', 'pages', 'loadData', 'transformComponent', 'afterPage', 'afterBuild'];
+
+        // Local images waiting to be resized into dist (see getLocalResponsiveImage)
+        this.imageJobs = [];
+
+        // Minified scripts by source hash, so shared scripts are only minified once per build
+        this.minifiedScripts = new Map();
         
         // Ensure dist directory exists
         fs.ensureDirSync(this.distDir);
@@ -24,93 +129,276 @@ class PerformanceBuilder {
         return Buffer.from(payload).toString('base64');
     }
 
-    // Fetch data from external API
-    async fetchShopData() {
-        return new Promise((resolve, reject) => {
-            const url = 'https://mock.shop/api?query=%7B%20products(first%3A%2020)%20%7B%20edges%20%7B%20node%20%7B%20id%20title%20description%20featuredImage%20%7B%20id%20url%20%7D%20variants(first%3A%203)%20%7B%20edges%20%7B%20node%20%7B%20price%20%7B%20amount%20currencyCode%20%7D%20%7D%20%7D%20%7D%20%7D%20%7D%20%7D%7D';
-            
-            https.get(url, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(data);
-                        resolve(jsonData);
-                    } catch (error) {
-                        console.error('Error parsing shop data:', error.message);
-                        reject(error);
-                    }
-                });
-            }).on('error', (error) => {
-                console.error('Error fetching shop data:', error.message);
-                reject(error);
+    // Plugins from plugins in site-config.json, in order: a built-in name (plugins/<name>.js), a path relative to the
+    // project or a package name, each optionally as { "use": ..., "options": {...} }. Without the key only shop is loaded.
+    getPlugins() {
+        if (this.plugins) {
+            return this.plugins;
+        }
+
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const entries = siteConfig.plugins || ['shop'];
+        if (!Array.isArray(entries)) {
+            throw new Error('plugins in site-config.json must be an array');
+        }
+
+        this.plugins = entries.map((entry, index) => {
+            const { use, options = {} } = typeof entry === 'string' ? { use: entry } : (entry || {});
+            if (typeof use !== 'string' || !use) {
+                throw new Error(`plugins[${index}] in site-config.json needs a plugin name or path`);
+            }
+
+            const builtIn = path.join(this.pluginsDir, `${use}.js`);
+            let file;
+            let factory;
+            try {
+                file = /^[a-z0-9-]+$/.test(use) && fs.existsSync(builtIn)
+                    ? builtIn
+                    : require.resolve(use.startsWith('.') ? path.resolve(__dirname, use) : use, { paths: [__dirname] });
+                factory = require(file);
+            } catch (error) {
+                throw new Error(`Cannot load plugin "${use}" from site-config.json: ${error.message}`);
+            }
+            if (typeof factory !== 'function') {
+                throw new Error(`Plugin "${use}" must export a function that returns its hooks`);
+            }
+
+            const hooks = factory(this, options) || {};
+            const { name = use, ...handlers } = hooks;
+            Object.keys(handlers).forEach(hook => {
+                if (!this.pluginHooks.includes(hook)) {
+                    throw new Error(`Plugin "${name}" has an unknown hook "${hook}" (available: ${this.pluginHooks.join(', ')})`);
+                }
             });
+
+            return { name, file, hooks: handlers };
         });
+
+        return this.plugins;
     }
 
-    // Generate optimized image HTML with responsive sizing
-    generateOptimizedImageHTML(imageUrl, productTitle) {
-        if (!imageUrl) {
-            return `<div class="product-placeholder">${productTitle}</div>`;
+    // Call a hook on every plugin that has it, in order, and collect the results
+    async callPlugins(hook, ...args) {
+        const results = [];
+        for (const plugin of this.getPlugins()) {
+            if (plugin.hooks[hook]) {
+                results.push(await this.invokePlugin(plugin, hook, args));
+            }
         }
+        return results;
+    }
 
-        // Generate responsive image sizes for different viewport widths
-        const sizes = [
-            { width: 300, suffix: '300w' },
-            { width: 400, suffix: '400w' },
-            { width: 600, suffix: '600w' },
-            { width: 800, suffix: '800w' },
-            { width: 1200, suffix: '1200w' }
-        ];
+    // Pass a value through every plugin's hook in order; a hook that returns undefined leaves it unchanged
+    async pipePlugins(hook, value, getArgs = current => [current]) {
+        let current = value;
+        for (const plugin of this.getPlugins()) {
+            if (plugin.hooks[hook]) {
+                const result = await this.invokePlugin(plugin, hook, getArgs(current));
+                if (result !== undefined) {
+                    current = result;
+                }
+            }
+        }
+        return current;
+    }
+
+    async invokePlugin(plugin, hook, args) {
+        try {
+            return await plugin.hooks[hook](...args);
+        } catch (error) {
+            throw new Error(`Plugin "${plugin.name}" failed in ${hook}: ${error.message}`);
+        }
+    }
 
-        // Create srcset for responsive images with better sizing
-        const srcset = sizes.map(size => {
-            // For now, we'll use the original image but with proper sizing
-            // In production, you'd resize images to these exact dimensions
-            return `${imageUrl} ${size.suffix}`;
-        }).join(', ');
+    // Share the product catalog with every page (the shop plugin loads it), as @catalog in templates and as a tracked input.
+    // source is the file it was read from, for sitemap dates.
+    setCatalog(products, source = null) {
+        this.catalog = products;
+        this.catalogSource = source;
+        this.templateGlobals['@catalog'] = {
+            products: products.map(edge => edge.node),
+            count: products.length
+        };
+    }
+
+    // Responsive image markup: real resized candidates, and eager loading only for the first few images on the page
+    generateOptimizedImageHTML(imageUrl, productTitle, { position = Infinity, sizes = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, (max-width: 1200px) 33vw, 25vw' } = {}) {
+        if (!imageUrl) {
+            return `<div class="product-placeholder">${this.escapeHTML(productTitle)}</div>`;
+        }
 
-        // Generate WebP version if possible (Shopify often provides this)
-        const webpUrl = imageUrl.replace(/\.(jpg|jpeg|png)$/i, '.webp');
-        const webpSrcset = sizes.map(size => {
-            return `${webpUrl} ${size.suffix}`;
-        }).join(', ');
+        if (!this.isSafeURL(imageUrl)) {
+            throw new Error(`Unsafe image URL "${imageUrl}" for product "${productTitle}"`);
+        }
 
-        // Determine if this is likely a critical above-the-fold image
-        const isCriticalImage = this.isCriticalImage(imageUrl);
+        const image = this.getResponsiveImage(imageUrl);
+        const isCriticalImage = this.isCriticalImage(position);
+        const attr = value => this.escapeHTML(value);
+        const sizesAttr = `sizes="${attr(sizes)}"`;
 
-        return `
-            <picture>
-                <source 
-                    type="image/webp" 
-                    srcset="${webpSrcset}"
-                    sizes="(max-width: 480px) 100vw, (max-width: 768px) 50vw, (max-width: 1200px) 33vw, 25vw"
-                >
-                <img 
-                    src="${imageUrl}" 
-                    srcset="${srcset}"
-                    sizes="(max-width: 480px) 100vw, (max-width: 768px) 50vw, (max-width: 1200px) 33vw, 25vw"
-                    alt="${productTitle}"
+        const img = `<img 
+                    src="${attr(image.src)}" 
+                    ${image.srcset ? `srcset="${attr(image.srcset)}" ${sizesAttr}` : ''}
+                    alt="${attr(productTitle)}"
                     loading="${isCriticalImage ? 'eager' : 'lazy'}"
                     width="400"
                     height="400"
-                    style="aspect-ratio: 1; object-fit: cover;"
                     ${isCriticalImage ? 'fetchpriority="high"' : ''}
-                >
+                >`;
+
+        // Preload the candidate the browser will actually pick: the preferred format when there are <source>s
+        const preferred = image.sources[0];
+        const preload = !isCriticalImage ? '' : preferred
+            ? `<link rel="preload" as="image" type="${preferred.type}" imagesrcset="${attr(preferred.srcset)}" imagesizes="${attr(sizes)}">`
+            : `<link rel="preload" as="image" href="${attr(image.src)}"${image.srcset ? ` imagesrcset="${attr(image.srcset)}" imagesizes="${attr(sizes)}"` : ''}>`;
+
+        if (image.sources.length === 0) {
+            return `
+            ${img}
+            ${preload}
+        `;
+        }
+
+        return `
+            <picture>
+                ${image.sources.map(source => `<source type="${source.type}" srcset="${attr(source.srcset)}" ${sizesAttr}>`).join('\n                ')}
+                ${img}
             </picture>
-            ${isCriticalImage ? `<link rel="preload" as="image" href="${imageUrl}">` : ''}
+            ${preload}
         `;
     }
 
-    // Determine if image is likely critical (above-the-fold)
-    isCriticalImage(imageUrl) {
-        // First few products are likely above-the-fold
-        // This is a simple heuristic - in production you'd use more sophisticated logic
-        return true; // For now, treat all as critical for better performance
+    // Image settings from site-config.json
+    getImagesConfig() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const config = { widths: [300, 400, 600, 800, 1200], criticalCount: 4, formats: ['avif', 'webp'], ...(siteConfig.images || {}) };
+
+        if (!Array.isArray(config.widths) || config.widths.length === 0 || config.widths.some(width => !Number.isInteger(width) || width < 1)) {
+            throw new Error(`images.widths in site-config.json must be a list of pixel widths (got ${JSON.stringify(config.widths)})`);
+        }
+        if (!Number.isInteger(config.criticalCount) || config.criticalCount < 0) {
+            throw new Error(`images.criticalCount in site-config.json must be an integer, 0 or more (got ${config.criticalCount})`);
+        }
+        if (!Array.isArray(config.formats) || config.formats.some(format => !['avif', 'webp'].includes(format))) {
+            throw new Error(`images.formats in site-config.json may only contain "avif" and "webp" (got ${JSON.stringify(config.formats)})`);
+        }
+
+        config.widths = [...config.widths].sort((a, b) => a - b);
+        return config;
+    }
+
+    // src, srcset and extra-format <source>s for an image URL
+    getResponsiveImage(imageUrl) {
+        const { widths } = this.getImagesConfig();
+        const fallbackWidth = widths[Math.floor(widths.length / 2)];
+
+        // Shopify's CDN resizes on request and already negotiates WebP/AVIF with the browser
+        if (this.isShopifyImage(imageUrl)) {
+            return {
+                src: this.getResizedImageURL(imageUrl, fallbackWidth),
+                srcset: widths.map(width => `${this.getResizedImageURL(imageUrl, width)} ${width}w`).join(', '),
+                sources: []
+            };
+        }
+
+        if (!/^([a-zA-Z][a-zA-Z0-9+.-]*:|\/\/)/.test(imageUrl)) {
+            return this.getLocalResponsiveImage(imageUrl, widths, fallbackWidth);
+        }
+
+        // Other remote images can't be resized at build time
+        return { src: imageUrl, srcset: '', sources: [] };
+    }
+
+    isShopifyImage(imageUrl) {
+        return /^https:\/\/cdn\.shopify\.com\//.test(imageUrl);
+    }
+
+    // A Shopify CDN image at the given width; other URLs are returned unchanged
+    getResizedImageURL(imageUrl, width) {
+        if (!imageUrl || !this.isShopifyImage(imageUrl)) {
+            return imageUrl;
+        }
+
+        const url = new URL(imageUrl);
+        url.searchParams.set('width', width);
+        return url.toString();
+    }
+
+    // Local images under src/ are resized into dist with sharp, if it is installed
+    getLocalResponsiveImage(imagePath, widths, fallbackWidth) {
+        const relativePath = imagePath.replace(/^\/+/, '');
+        const sourcePath = path.join(this.srcDir, relativePath);
+        if (!fs.existsSync(sourcePath)) {
+            throw new Error(`Image "${imagePath}" not found at ${path.relative(__dirname, sourcePath)}`);
+        }
+        this.trackDependency(sourcePath);
+
+        if (!this.loadSharp()) {
+            this.imageJobs.push({ sourcePath, outputs: [{ file: relativePath }] });
+            return { src: relativePath, srcset: '', sources: [] };
+        }
+
+        const { formats } = this.getImagesConfig();
+        const { dir, name, ext } = path.posix.parse(relativePath);
+        const variant = (width, format) => path.posix.join(dir, `${name}-${width}.${format}`);
+        const srcsetFor = format => widths.map(width => `${variant(width, format)} ${width}w`).join(', ');
+        const originalFormat = ext.slice(1).toLowerCase();
+
+        this.imageJobs.push({
+            sourcePath,
+            outputs: widths.flatMap(width => [originalFormat, ...formats].map(format => ({ file: variant(width, format), width, format })))
+        });
+
+        return {
+            src: variant(fallbackWidth, originalFormat),
+            srcset: srcsetFor(originalFormat),
+            sources: formats.map(format => ({ type: `image/${format}`, srcset: srcsetFor(format) }))
+        };
+    }
+
+    // sharp is optional - without it local images are copied at their original size
+    loadSharp() {
+        if (this.sharp === undefined) {
+            try {
+                this.sharp = require('sharp');
+            } catch (error) {
+                this.sharp = null;
+                console.warn('⚠️  sharp is not installed: local images are copied without resizing (npm install sharp to enable it)');
+            }
+        }
+        return this.sharp;
+    }
+
+    // Write the resized local images queued while rendering, skipping outputs newer than their source
+    async processImageJobs() {
+        const jobs = this.imageJobs.splice(0);
+
+        for (const job of jobs) {
+            const sourceTime = fs.statSync(job.sourcePath).mtimeMs;
+
+            for (const output of job.outputs) {
+                const outputPath = path.join(this.distDir, output.file);
+                if (fs.existsSync(outputPath) && fs.statSync(outputPath).mtimeMs >= sourceTime) {
+                    continue;
+                }
+
+                fs.ensureDirSync(path.dirname(outputPath));
+                if (!output.width) {
+                    fs.copySync(job.sourcePath, outputPath);
+                    continue;
+                }
+
+                await this.sharp(job.sourcePath)
+                    .resize({ width: output.width, withoutEnlargement: true })
+                    .toFormat(output.format === 'jpg' ? 'jpeg' : output.format)
+                    .toFile(outputPath);
+            }
+        }
+    }
+
+    // Only the first few images on a page are above the fold
+    isCriticalImage(position) {
+        return position < this.getImagesConfig().criticalCount;
     }
 
     // Generate product HTML from shop data with optimized images
@@ -119,32 +407,36 @@ class PerformanceBuilder {
         let productsHTML = '';
         let categoryOptions = new Set();
         
-        products.forEach(product => {
+        products.forEach((product, index) => {
             const node = product.node;
-            const price = node.variants.edges[0]?.node.price.amount || '0';
-            const currency = node.variants.edges[0]?.node.price.currencyCode || 'USD';
+            const defaultVariant = node.variants.edges[0]?.node;
+            const price = defaultVariant?.price.amount || '0';
+            const currency = defaultVariant?.price.currencyCode || 'USD';
             
-            // Extract category from title (simple approach)
-            const category = this.extractCategory(node.title);
+            const category = this.getProductCategory(node).title;
             categoryOptions.add(category);
             
             // Generate optimized image HTML
             const optimizedImage = this.generateOptimizedImageHTML(
                 node.featuredImage?.url, 
-                node.title
+                node.title,
+                { position: index }
             );
             
-            let productHTML = productCardTemplate
-                .replace(/\{\{PRODUCT_ID\}\}/g, node.id)
-                .replace(/\{\{PRODUCT_TITLE\}\}/g, node.title)
-                .replace(/\{\{PRODUCT_DESCRIPTION\}\}/g, node.description)
-                .replace(/\{\{PRODUCT_IMAGE_HTML\}\}/g, optimizedImage)
-                .replace(/\{\{PRODUCT_IMAGE_URL\}\}/g, node.featuredImage?.url || '')
-                .replace(/\{\{PRODUCT_PRICE\}\}/g, price)
-                .replace(/\{\{PRODUCT_CURRENCY\}\}/g, currency)
-                .replace(/\{\{PRODUCT_CATEGORY\}\}/g, category);
-            
-            productsHTML += productHTML;
+            productsHTML += this.renderTemplate(productCardTemplate, {
+                PRODUCT_ID: node.id,
+                PRODUCT_URL: `products/${this.getProductHandle(node)}.html`,
+                PRODUCT_TITLE: node.title,
+                PRODUCT_DESCRIPTION: node.description,
+                PRODUCT_IMAGE_HTML: optimizedImage,
+                PRODUCT_IMAGE_URL: node.featuredImage?.url || '',
+                PRODUCT_PRICE: price,
+                PRODUCT_PRICE_VALUE: parseFloat(price),
+                PRODUCT_VARIANT_ID: defaultVariant?.id || '',
+                PRODUCT_VARIANT_TITLE: defaultVariant?.title || '',
+                PRODUCT_CURRENCY: currency,
+                PRODUCT_CATEGORY: category
+            }, 'product-card.html');
         });
         
         return {
@@ -154,7 +446,223 @@ class PerformanceBuilder {
         };
     }
 
-    // Extract category from product title
+    // Lowercase words without accents, split by the tokenizer the shop search uses for queries (src/scripts/search.js),
+    // so stop words and single letters are left out of both
+    getSearchTokens(text) {
+        return tokenizeSearchText(text);
+    }
+
+    // Compact index for the shop search box: one entry per product with the words it can be found by, strongest
+    // first (title, category, product type, tags, variants and options, then description)
+    getSearchIndex(products) {
+        return {
+            version: 1,
+            products: products.map(({ node }) => {
+                const variants = (node.variants?.edges || []).map(edge => edge.node);
+                const category = this.getProductCategory(node).title;
+                const description = String(node.description || '').replace(/\s+/g, ' ').trim();
+                const words = [
+                    node.title,
+                    category,
+                    node.productType,
+                    ...(node.tags || []),
+                    ...variants.filter(variant => variant.title !== 'Default Title').flatMap(variant => [
+                        variant.title,
+                        ...(variant.selectedOptions || []).map(option => option.value)
+                    ]),
+                    description
+                ].flatMap(text => this.getSearchTokens(text));
+
+                return {
+                    id: node.id,
+                    url: `products/${this.getProductHandle(node)}.html`,
+                    title: node.title,
+                    description: description.length > 160 ? `${description.slice(0, 160).replace(/\s+\S*$/, '')}…` : description,
+                    category,
+                    price: parseFloat(variants[0]?.price.amount || '0'),
+                    currency: variants[0]?.price.currencyCode || 'USD',
+                    tokens: Array.from(new Set(words))
+                };
+            })
+        };
+    }
+
+    // Lowercase, hyphenated form of a title for use in file names
+    slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // URL-safe product handle, used as the detail page filename
+    getProductHandle(node) {
+        return this.slugify(node.handle || node.title) || String(node.id).split('/').pop();
+    }
+
+    // Template data for the product-detail component
+    getProductDetailData(node) {
+        const category = this.getProductCategory(node);
+        const variants = (node.variants?.edges || []).map(edge => ({
+            id: edge.node.id,
+            title: edge.node.title,
+            options_json: JSON.stringify(edge.node.selectedOptions || []),
+            price: edge.node.price.amount,
+            currency: edge.node.price.currencyCode
+        }));
+        const imageEdges = node.images?.edges || [];
+        const images = imageEdges.length > 0
+            ? imageEdges.map(edge => ({ url: edge.node.url, alt: edge.node.altText || node.title }))
+            : (node.featuredImage ? [{ url: node.featuredImage.url, alt: node.featuredImage.altText || node.title }] : []);
+        images.forEach(image => {
+            image.thumb_url = this.getResizedImageURL(image.url, 160);
+            image.large_url = this.getResizedImageURL(image.url, 1200);
+        });
+        const defaultVariant = variants[0] || { id: '', title: '', options_json: '[]', price: '0', currency: 'USD' };
+
+        return {
+            id: node.id,
+            handle: this.getProductHandle(node),
+            title: node.title,
+            description: node.description,
+            category: category.title,
+            category_url: `collections/${category.slug}.html`,
+            price: defaultVariant.price,
+            currency: defaultVariant.currency,
+            variant_id: defaultVariant.id,
+            variant_title: defaultVariant.title,
+            variant_options_json: defaultVariant.options_json,
+            // The main image is the page's largest element, so it is always loaded eagerly
+            image_html: this.generateOptimizedImageHTML(images[0]?.url, node.title, { position: 0, sizes: '(max-width: 768px) 100vw, 50vw' }),
+            image_url: images[0]?.url || '',
+            images,
+            has_thumbnails: images.length > 1,
+            variants,
+            // Single "Default Title" variants don't need a picker
+            has_variants: variants.length > 1 || (variants.length === 1 && variants[0].title !== 'Default Title')
+        };
+    }
+
+    // schema.org Product for a catalog product, with one Offer per variant
+    getProductSchema(node) {
+        const url = this.getAbsoluteURL(`products/${this.getProductHandle(node)}.html`);
+        const images = (node.images?.edges || []).map(edge => edge.node.url);
+
+        return {
+            '@type': 'Product',
+            '@id': `${url}#product`,
+            name: node.title,
+            description: node.description,
+            image: images.length > 0 ? images : [node.featuredImage?.url].filter(Boolean),
+            category: this.getProductCategory(node).title,
+            url,
+            offers: (node.variants?.edges || []).map(edge => ({
+                '@type': 'Offer',
+                ...(edge.node.title !== 'Default Title' && { name: edge.node.title }),
+                price: edge.node.price.amount,
+                priceCurrency: edge.node.price.currencyCode,
+                url
+            }))
+        };
+    }
+
+    // schema.org BreadcrumbList from [{ name, path }], paths relative to the site root
+    getBreadcrumbSchema(items) {
+        return {
+            '@type': 'BreadcrumbList',
+            itemListElement: items.map((item, index) => ({
+                '@type': 'ListItem',
+                position: index + 1,
+                name: item.name,
+                item: this.getAbsoluteURL(item.path)
+            }))
+        };
+    }
+
+    // Categories from data/taxonomy.json, validated once per build
+    getTaxonomy() {
+        this.trackDependency(this.taxonomyPath);
+        if (this.taxonomy) {
+            return this.taxonomy;
+        }
+
+        const taxonomy = fs.existsSync(this.taxonomyPath) ? this.readJSONData(this.taxonomyPath) : {};
+        const categories = taxonomy.categories || [];
+        if (!Array.isArray(categories)) {
+            throw new Error('categories in taxonomy.json must be an array');
+        }
+
+        const slugs = new Set();
+        this.taxonomy = categories.map((category, index) => {
+            if (!category || typeof category.title !== 'string' || !category.title.trim()) {
+                throw new Error(`categories[${index}] in taxonomy.json needs a title`);
+            }
+
+            const slug = category.slug || this.slugify(category.title);
+            if (slug !== this.slugify(slug)) {
+                throw new Error(`categories[${index}].slug in taxonomy.json must be lowercase letters, digits and hyphens (got "${slug}")`);
+            }
+            if (slugs.has(slug)) {
+                throw new Error(`Duplicate category slug "${slug}" in taxonomy.json`);
+            }
+            slugs.add(slug);
+
+            ['productTypes', 'tags', 'products'].forEach(key => {
+                if (category[key] !== undefined && !Array.isArray(category[key])) {
+                    throw new Error(`categories[${index}].${key} in taxonomy.json must be an array`);
+                }
+            });
+
+            return {
+                slug,
+                title: category.title,
+                description: category.description || '',
+                productTypes: (category.productTypes || []).map(type => String(type).toLowerCase()),
+                tags: (category.tags || []).map(tag => String(tag).toLowerCase()),
+                products: (category.products || []).map(String)
+            };
+        });
+
+        return this.taxonomy;
+    }
+
+    // Category for a product: explicit product IDs/handles, then product type, then tags, then the title heuristics
+    getProductCategory(node) {
+        const taxonomy = this.getTaxonomy();
+        const handle = this.getProductHandle(node);
+        const productType = String(node.productType || '').toLowerCase();
+        const tags = (node.tags || []).map(tag => String(tag).toLowerCase());
+
+        const match = taxonomy.find(category => category.products.includes(node.id) || category.products.includes(handle))
+            || (productType && taxonomy.find(category => category.productTypes.includes(productType)))
+            || (productType && taxonomy.find(category => category.title.toLowerCase() === productType || category.slug === productType))
+            || taxonomy.find(category => category.tags.some(tag => tags.includes(tag)));
+        if (match) {
+            return match;
+        }
+
+        const title = this.extractCategory(node.title);
+        return taxonomy.find(category => category.title.toLowerCase() === title.toLowerCase())
+            || { slug: this.slugify(title), title, description: '' };
+    }
+
+    // Group the catalog by category, in taxonomy order with unlisted categories after
+    getCollections(catalog) {
+        const collections = new Map(this.getTaxonomy().map(category => [category.slug, { category, products: [] }]));
+
+        catalog.forEach(edge => {
+            const category = this.getProductCategory(edge.node);
+            if (!collections.has(category.slug)) {
+                collections.set(category.slug, { category, products: [] });
+            }
+            collections.get(category.slug).products.push(edge);
+        });
+
+        return Array.from(collections.values()).filter(collection => collection.products.length > 0);
+    }
+
+    // Guess a category from the product title, used when the taxonomy has no match
     extractCategory(title) {
         const titleLower = title.toLowerCase();
         if (titleLower.includes('hoodie')) return 'Hoodies';
@@ -170,214 +678,2114 @@ class PerformanceBuilder {
         return 'Other';
     }
 
-    // Read and parse JSON data
+    // Read and parse JSON data - a missing or malformed file fails the build with its location
     readJSONData(filePath) {
+        this.trackDependency(filePath);
+        const relativePath = path.relative(__dirname, filePath);
+
+        let source;
         try {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            source = fs.readFileSync(filePath, 'utf8');
         } catch (error) {
-            console.error(`Error reading ${filePath}:`, error.message);
-            return {};
+            throw new Error(`Cannot read ${relativePath}: ${error.message}`);
         }
-    }
 
-    // Read template file
-    readTemplate(templatePath) {
         try {
-            return fs.readFileSync(templatePath, 'utf8');
+            return JSON.parse(source);
         } catch (error) {
-            console.error(`Error reading template ${templatePath}:`, error.message);
-            return '';
+            const position = /at position (\d+)/.exec(error.message);
+            const location = position ? `:${this.getSourceLocation(source, Number(position[1]))}` : '';
+            throw new Error(`${relativePath}${location}: invalid JSON (${error.message})`);
         }
     }
 
-    // Simple template variable replacement
-    replaceVariables(template, data, prefix = '') {
-        let result = template;
-        
-        Object.keys(data).forEach(key => {
-            const value = data[key];
-            const placeholder = `{{${prefix}${key.toUpperCase()}}}`;
-            
-            if (typeof value === 'object' && value !== null) {
-                // Handle nested objects
-                result = this.replaceVariables(result, value, `${prefix}${key.toUpperCase()}_`);
-            } else {
-                // Replace simple values
-                result = result.replace(new RegExp(placeholder, 'g'), value || '');
-            }
-        });
-        
-        return result;
+    // "line:column" of a character offset in a source file
+    getSourceLocation(source, offset) {
+        const lines = source.slice(0, offset).split('\n');
+        return `${lines.length}:${lines[lines.length - 1].length + 1}`;
     }
 
-    // Process component templates with dynamic data
-    async processComponents(baseTemplate, components, pageData) {
-        let result = baseTemplate;
-        const componentPlaceholder = '{{COMPONENTS}}';
-        let componentsHTML = '';
+    // Line of a key path (['header', 'nav', 0, 'url']) in a JSON file, or null when the path isn't in it
+    getJSONLine(filePath, keyPath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return null;
+        }
 
-        // Load and process each component
-        for (const componentName of components) {
-            const componentPath = path.join(this.templatesDir, 'components', `${componentName}.html`);
-            const componentTemplate = this.readTemplate(componentPath);
-            
-            if (componentTemplate && pageData[componentName]) {
-                let processedComponent = this.replaceVariables(componentTemplate, pageData[componentName]);
-                
-                // Special handling for shop component
-                if (componentName === 'shop' && pageData[componentName].products) {
-                    const shopData = pageData[componentName];
-                    if (shopData.products.length > 0) {
-                        const { productsHTML, categoryOptions, productsCount } = this.generateProductHTML(shopData.products);
-                        
-                        // Generate category options HTML
-                        const categoryOptionsHTML = categoryOptions.map(cat => 
-                            `<option value="${cat}">${cat}</option>`
-                        ).join('');
-                        
-                        processedComponent = processedComponent
-                            .replace('{{PRODUCTS_HTML}}', productsHTML)
-                            .replace('{{CATEGORY_OPTIONS}}', categoryOptionsHTML)
-                            .replace('{{PRODUCTS_COUNT}}', productsCount);
+        // Walk the (already validated) document, recording the line each key or array item starts on
+        const source = fs.readFileSync(filePath, 'utf8');
+        const target = keyPath.join('\u0000');
+        let index = 0;
+        let found = null;
+
+        const skipSpace = () => {
+            while (/\s/.test(source[index])) index++;
+        };
+        const readString = () => {
+            const start = index++;
+            while (source[index] !== '"') {
+                index += source[index] === '\\' ? 2 : 1;
+            }
+            index++;
+            return JSON.parse(source.slice(start, index));
+        };
+        const visit = (currentPath, start) => {
+            if (found === null && currentPath.join('\u0000') === target) {
+                found = source.slice(0, start).split('\n').length;
+            }
+        };
+        const readValue = currentPath => {
+            skipSpace();
+            if (source[index] === '{' || source[index] === '[') {
+                const isArray = source[index++] === '[';
+                let itemIndex = 0;
+                skipSpace();
+                while (source[index] !== (isArray ? ']' : '}')) {
+                    skipSpace();
+                    const start = index;
+                    const key = isArray ? itemIndex++ : readString();
+                    if (!isArray) {
+                        skipSpace();
+                        index++; // :
                     }
+                    visit([...currentPath, key], start);
+                    readValue([...currentPath, key]);
+                    skipSpace();
+                    if (source[index] === ',') index++;
+                    skipSpace();
                 }
-                
-                componentsHTML += processedComponent + '\n';
+                index++;
+            } else if (source[index] === '"') {
+                readString();
+            } else {
+                while (index < source.length && !/[\s,\]}]/.test(source[index])) index++;
             }
+        };
+
+        readValue([]);
+        return found;
+    }
+
+    // Read template file
+    readTemplate(templatePath) {
+        this.trackDependency(templatePath);
+        try {
+            return fs.readFileSync(templatePath, 'utf8');
+        } catch (error) {
+            console.error(`Error reading template ${templatePath}:`, error.message);
+            return '';
         }
+    }
 
-        return result.replace(componentPlaceholder, componentsHTML);
+    // Record a source file read by the page currently being built
+    trackDependency(filePath) {
+        this.trackInput(path.relative(__dirname, path.resolve(filePath)).split(path.sep).join('/'));
     }
 
-    // Inline CSS files
-    inlineCSS() {
-        const cssFiles = ['critical.css', 'components.css', 'checkout.css'];
-        let combinedCSS = '';
-        
-        cssFiles.forEach(cssFile => {
-            const cssPath = path.join(this.srcDir, 'styles', cssFile);
-            if (fs.existsSync(cssPath)) {
-                combinedCSS += fs.readFileSync(cssPath, 'utf8') + '\n';
-            }
-        });
-        
-        return `<style>${combinedCSS}</style>`;
+    // Record an input (a file path relative to the project, or a catalog:... key) with its current hash
+    trackInput(key) {
+        if (this.currentDependencies && !this.currentDependencies[key]) {
+            this.currentDependencies[key] = this.hashInput(key);
+        }
     }
 
-    // Inline JavaScript
-    inlineJS() {
-        const jsPath = path.join(this.srcDir, 'scripts', 'app.js');
-        const securityPath = path.join(this.srcDir, 'scripts', 'security.js');
-        let combinedJS = '';
-        
-        // Load security script first
-        if (fs.existsSync(securityPath)) {
-            combinedJS += fs.readFileSync(securityPath, 'utf8') + '\n';
+    // Content hash of a build input, memoized for the duration of one build pass
+    hashInput(key) {
+        if (this.inputHashes.has(key)) {
+            return this.inputHashes.get(key);
         }
 
-        // Load Shopify config
-        const shopifyConfigPath = path.join(this.srcDir, 'config', 'shopify-config.js');
-        if (fs.existsSync(shopifyConfigPath)) {
-            combinedJS += fs.readFileSync(shopifyConfigPath, 'utf8') + '\n';
+        let content;
+        if (key === 'catalog') {
+            content = JSON.stringify(this.catalog || []);
+        } else if (key === 'runtime-config') {
+            // Config files and environment variables together, as they end up in the page
+            content = this.getRuntimeConfigScript();
+        } else if (key === 'posts') {
+            // Which posts exist - their contents are tracked as files
+            content = JSON.stringify(glob.sync(path.join(this.postsDir, '*.md')).map(file => path.basename(file)).sort());
+        } else if (key.startsWith('catalog:product:')) {
+            const handle = key.slice('catalog:product:'.length);
+            content = JSON.stringify((this.catalog || []).find(edge => this.getProductHandle(edge.node) === handle) || null);
+        } else if (key.startsWith('catalog:collection:')) {
+            const slug = key.slice('catalog:collection:'.length);
+            const collection = this.getCollections(this.catalog || []).find(entry => entry.category.slug === slug);
+            content = JSON.stringify(collection || null);
+        } else {
+            const filePath = path.join(__dirname, key);
+            content = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
         }
 
-        // Load Shopify client script
-        const shopifyPath = path.join(this.srcDir, 'scripts', 'shopify-client.js');
-        if (fs.existsSync(shopifyPath)) {
-            combinedJS += fs.readFileSync(shopifyPath, 'utf8') + '\n';
+        const hash = content === null ? 'missing' : crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+        this.inputHashes.set(key, hash);
+        return hash;
+    }
+
+    // Build one output page, recording every input it reads
+    async trackBuild(output, buildFn) {
+        const previous = this.currentDependencies;
+        this.currentDependencies = {};
+        try {
+            return await buildFn();
+        } finally {
+            this.dependencies.set(output, this.currentDependencies);
+            this.currentDependencies = previous;
         }
+    }
 
-        // Load performance checkout system
-        const performanceCheckoutPath = path.join(this.srcDir, 'scripts', 'performance-checkout.js');
-        if (fs.existsSync(performanceCheckoutPath)) {
-            combinedJS += fs.readFileSync(performanceCheckoutPath, 'utf8') + '\n';
+    // Why an output page needs rebuilding, or null when none of its inputs changed
+    getRebuildReason(output) {
+        if (this.options.force) {
+            return 'forced';
         }
 
-        // Load Mock.Shop cart system
-        const mockShopCartPath = path.join(this.srcDir, 'scripts', 'mock-shop-cart.js');
-        if (fs.existsSync(mockShopCartPath)) {
-            combinedJS += fs.readFileSync(mockShopCartPath, 'utf8') + '\n';
+        const inputs = this.dependencies.get(output);
+        if (!inputs) {
+            return 'new page';
+        }
+        if (!fs.existsSync(path.join(this.distDir, output))) {
+            return 'output missing';
         }
 
-        // Load main app script
-        if (fs.existsSync(jsPath)) {
-            combinedJS += fs.readFileSync(jsPath, 'utf8') + '\n';
+        const changed = Object.keys(inputs).filter(key => this.hashInput(key) !== inputs[key]);
+        if (changed.length > 0) {
+            return `${changed.slice(0, 3).join(', ')}${changed.length > 3 ? ` and ${changed.length - 3} more` : ''} changed`;
         }
-        
-        return `<script>${combinedJS}</script>`;
+
+        return null;
     }
 
-    // Build a single page
-    async buildPage(pageFile) {
-        const pageName = path.basename(pageFile, '.json');
-        const pageData = this.readJSONData(pageFile);
-        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
-        
-        console.log(`Building page: ${pageName}`);
+    // Hash of everything that affects every page: the builder, its plugins and its options
+    getBuildSettingsHash() {
+        const settings = JSON.stringify({
+            watch: Boolean(this.options.watch),
+            debug: Boolean(this.options.debug),
+            minify: Boolean(this.options.minify),
+            env: this.options.env,
+            distDir: this.distDir
+        });
+        const hash = crypto.createHash('sha256').update(fs.readFileSync(__filename));
+        this.getPlugins().forEach(plugin => hash.update(`${plugin.name}\u0000`).update(fs.readFileSync(plugin.file)));
+        return hash.update(settings).digest('hex').slice(0, 16);
+    }
 
-        // Load base template
-        const baseTemplate = this.readTemplate(path.join(this.templatesDir, 'base.html'));
-        if (!baseTemplate) {
-            console.error(`Base template not found`);
+    // Load the dependency graph from the last build; a different builder or options invalidates all of it
+    readBuildManifest() {
+        if (!fs.existsSync(this.buildManifestPath)) {
             return;
         }
 
-        // Special handling for shop page - fetch data at build time
-        if (pageName === 'shop') {
-            try {
-                console.log('Fetching shop data...');
-                const shopData = await this.fetchShopData();
-                if (shopData.data && shopData.data.products) {
-                    pageData.shop.products = shopData.data.products.edges;
-                    console.log(`Fetched ${shopData.data.products.edges.length} products`);
-                }
-            } catch (error) {
-                console.error('Failed to fetch shop data:', error.message);
-                // Use fallback data or empty products array
-                pageData.shop.products = [];
-            }
+        let manifest;
+        try {
+            manifest = this.readJSONData(this.buildManifestPath);
+        } catch (error) {
+            console.warn(`⚠️  Ignoring build manifest, rebuilding every page: ${error.message}`);
+            return;
+        }
+        if (manifest.settingsHash !== this.getBuildSettingsHash() || !manifest.pages) {
+            console.log('Build settings changed, rebuilding every page');
+            return;
         }
 
-        // Process components
+        Object.entries(manifest.pages).forEach(([output, inputs]) => this.dependencies.set(output, inputs));
+    }
+
+    writeBuildManifest() {
+        const manifest = {
+            builtAt: new Date().toISOString(),
+            settingsHash: this.getBuildSettingsHash(),
+            pages: Object.fromEntries(this.dependencies)
+        };
+        fs.outputJsonSync(this.buildManifestPath, manifest, { spaces: 2 });
+        return manifest;
+    }
+
+    // Render a template with loops, conditionals, partials and dotted paths.
+    // Legacy flat placeholders ({{NAV1_TEXT}}) still resolve against the data.
+    renderTemplate(template, data, name = 'template') {
+        const nodes = this.parseTemplate(template, name);
+        return this.renderNodes(nodes, [{ item: data, frame: { ...this.templateGlobals } }], 0);
+    }
+
+    // Parse template source into a tree of text, variable, block and partial nodes
+    parseTemplate(source, name = 'template') {
+        const cacheKey = `${name}\u0000${source}`;
+        if (this.templateCache.has(cacheKey)) {
+            return this.templateCache.get(cacheKey);
+        }
+
+        const tagPattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const htmlState = this.createHTMLState();
+        let lastIndex = 0;
+        let scanIndex = 0;
+        let match;
+
+        const lineAt = (index) => source.slice(0, index).split('\n').length;
+        const current = () => {
+            const block = stack[stack.length - 1];
+            return block.inElse ? block.inverse : block.children;
+        };
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            const rawHelper = /^raw\s+(\S+)$/.exec(match[2] ? match[2].trim() : '');
+            const raw = match[1] !== undefined || rawHelper !== null;
+            const tag = rawHelper ? rawHelper[1] : (match[1] !== undefined ? match[1] : match[2]).trim();
+            const line = lineAt(match.index);
+            let textEnd = match.index;
+
+            // Track where in the HTML this tag sits so its value can be escaped for that context
+            this.advanceHTMLState(htmlState, source.slice(scanIndex, match.index));
+            scanIndex = tagPattern.lastIndex;
+            let tagEnd = tagPattern.lastIndex;
+
+            // Block, else, comment and partial tags alone on a line don't leave blank lines behind
+            if (!raw && /^[#/!>]|^else$/.test(tag)) {
+                const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+                const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(tagEnd));
+                if (after && /^[ \t]*$/.test(source.slice(lineStart, match.index))) {
+                    textEnd = Math.max(lineStart, lastIndex);
+                    tagEnd += after[0].length;
+                }
+            }
+
+            if (textEnd > lastIndex) {
+                current().push({ type: 'text', value: source.slice(lastIndex, textEnd) });
+            }
+            lastIndex = tagEnd;
+            tagPattern.lastIndex = tagEnd;
+
+            if (raw) {
+                current().push({ type: 'variable', expression: tag, raw: true, source: match[0], line, name });
+            } else if (tag.startsWith('!')) {
+                // Template comment - renders nothing
+            } else if (tag.startsWith('#')) {
+                const [helper, ...args] = tag.slice(1).trim().split(/\s+/);
+                if (!['each', 'if', 'unless'].includes(helper)) {
+                    throw new Error(`Unknown block helper {{#${helper}}} in ${name} at line ${line}`);
+                }
+                if (args.length === 0) {
+                    throw new Error(`{{#${helper}}} requires an argument in ${name} at line ${line}`);
+                }
+                const block = { type: 'block', helper, expression: args.join(' '), children: [], inverse: [], inElse: false, line };
+                current().push(block);
+                stack.push(block);
+            } else if (tag === 'else') {
+                const block = stack[stack.length - 1];
+                if (block.type !== 'block' || block.inElse) {
+                    throw new Error(`Unexpected {{else}} in ${name} at line ${line}`);
+                }
+                block.inElse = true;
+            } else if (tag.startsWith('/')) {
+                const helper = tag.slice(1).trim();
+                const block = stack.pop();
+                if (block.type !== 'block' || block.helper !== helper) {
+                    const expected = block.type === 'block' ? `{{/${block.helper}}}` : 'no closing tag';
+                    throw new Error(`Unexpected {{/${helper}}} in ${name} at line ${line} (expected ${expected})`);
+                }
+                delete block.inElse;
+            } else if (tag.startsWith('>')) {
+                const [partial, contextExpression] = tag.slice(1).trim().split(/\s+/);
+                current().push({ type: 'partial', name: partial, expression: contextExpression || null, line });
+            } else {
+                const context = this.describeHTMLContext(htmlState);
+                current().push({ type: 'variable', expression: tag, raw: false, source: match[0], line, name, context });
+            }
+        }
+
+        if (lastIndex < source.length) {
+            current().push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        if (stack.length > 1) {
+            const unclosed = stack[stack.length - 1];
+            throw new Error(`Unclosed {{#${unclosed.helper}}} in ${name} at line ${unclosed.line}`);
+        }
+
+        this.templateCache.set(cacheKey, root.children);
+        return root.children;
+    }
+
+    // Render parsed nodes against a stack of { item, frame } contexts (innermost last)
+    renderNodes(nodes, contextStack, depth) {
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+
+                case 'variable': {
+                    // Any name that resolves to nothing is a typo ({{titel}}, {{brand.ulr}}) or missing data; optional
+                    // values belong in an {{#if}} block. null is an explicitly empty value and renders as ''.
+                    const value = this.resolveValue(node.expression, contextStack);
+                    if (value === undefined) {
+                        throw new Error(`Unresolved placeholder ${node.source} in ${node.name} at line ${node.line}`);
+                    } else if (node.raw) {
+                        output += value === null ? '' : String(value);
+                    } else {
+                        output += this.escapeForContext(value, node);
+                    }
+                    break;
+                }
+
+                case 'block':
+                    output += this.renderBlock(node, contextStack, depth);
+                    break;
+
+                case 'partial':
+                    output += this.renderPartial(node, contextStack, depth);
+                    break;
+            }
+        }
+
+        return output;
+    }
+
+    // Render {{#each}}, {{#if}} and {{#unless}} blocks
+    renderBlock(node, contextStack, depth) {
+        const value = this.resolveValue(node.expression, contextStack);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+        if (node.helper === 'if') {
+            return this.renderNodes(truthy ? node.children : node.inverse, contextStack, depth);
+        }
+
+        if (node.helper === 'unless') {
+            return this.renderNodes(truthy ? node.inverse : node.children, contextStack, depth);
+        }
+
+        // each - iterate arrays, or the values of a plain object
+        const entries = Array.isArray(value)
+            ? value.map((item, index) => [index, item])
+            : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+        if (entries.length === 0) {
+            return this.renderNodes(node.inverse, contextStack, depth);
+        }
+
+        return entries.map(([key, item], index) => {
+            const frame = {
+                '@index': index,
+                '@key': key,
+                '@first': index === 0,
+                '@last': index === entries.length - 1
+            };
+            return this.renderNodes(node.children, [...contextStack, { item, frame }], depth);
+        }).join('');
+    }
+
+    // Render a {{> partial}} include from the components directory
+    renderPartial(node, contextStack, depth) {
+        if (depth >= 10) {
+            throw new Error(`Partial {{> ${node.name}}} nested too deeply (circular include?)`);
+        }
+
+        const partialPath = path.join(this.templatesDir, 'components', `${node.name}.html`);
+        if (!fs.existsSync(partialPath)) {
+            throw new Error(`Partial {{> ${node.name}}} not found at line ${node.line}`);
+        }
+
+        const partialNodes = this.parseTemplate(this.readTemplate(partialPath), `${node.name}.html`);
+        const stack = node.expression
+            ? [...contextStack, { item: this.resolveValue(node.expression, contextStack), frame: {} }]
+            : contextStack;
+
+        return this.renderNodes(partialNodes, stack, depth + 1);
+    }
+
+    // Resolve a template expression against the context stack
+    resolveValue(expression, contextStack) {
+        const contexts = contextStack.map(entry => entry.item);
+        let expr = expression;
+        let level = contexts.length - 1;
+
+        // ../ walks up to the enclosing context
+        while (expr.startsWith('../')) {
+            expr = expr.slice(3);
+            level = Math.max(0, level - 1);
+        }
+
+        // @index/@first/@last come from the loop frame; globals like @catalog.products from the root frame
+        if (expr.startsWith('@')) {
+            const [variable, ...rest] = expr.split('.');
+            if (variable === '@catalog') {
+                this.trackInput('catalog');
+            }
+            for (let i = contextStack.length - 1; i >= 0; i--) {
+                if (variable in contextStack[i].frame) {
+                    return rest.reduce((value, segment) => (
+                        value !== undefined && value !== null ? value[segment] : undefined
+                    ), contextStack[i].frame[variable]);
+                }
+            }
+            return undefined;
+        }
+
+        if (expr === 'this' || expr === '.') {
+            return contexts[level];
+        }
+
+        // Dotted paths resolve against the current context only
+        const context = contexts[level];
+        const segments = expr.replace(/^this\./, '').split('.');
+        if (context && typeof context === 'object' && segments[0] in context) {
+            return segments.reduce((value, segment) => (
+                value !== undefined && value !== null ? value[segment] : undefined
+            ), context);
+        }
+
+        // Legacy flat placeholders: {{BRAND_URL}} -> data.brand_url, nested keys joined with _
+        if (/^[A-Z0-9_]+$/.test(expr)) {
+            for (let i = level; i >= 0; i--) {
+                const flat = this.flattenContext(contexts[i]);
+                if (flat.has(expr)) {
+                    return flat.get(expr);
+                }
+            }
+        }
+
+        return undefined;
+    }
+
+    // Escape a value for the HTML/JS context its placeholder was found in
+    escapeForContext(value, node) {
+        const where = `{{${node.expression}}} in ${node.name} at line ${node.line}`;
+        const text = value === undefined || value === null ? '' : String(value);
+
+        switch (node.context) {
+            case 'html':
+            case 'attr':
+                return this.escapeHTML(text);
+            case 'url':
+                if (!this.isSafeURL(text)) {
+                    throw new Error(`Unsafe URL "${text}" for ${where}`);
+                }
+                return this.escapeHTML(text);
+            case 'js-string':
+                return this.escapeHTML(this.escapeJSString(text));
+            case 'js':
+                return this.escapeHTML(this.toJSLiteral(value));
+            case 'script-string':
+                return this.escapeJSString(text);
+            case 'script':
+                return this.toJSLiteral(value);
+            default:
+                throw new Error(`Cannot safely substitute ${where}: unsupported context (${node.context}). Move it into text, a quoted attribute or a JS string, or use {{{${node.expression}}}} for trusted HTML`);
+        }
+    }
+
+    // Escape text for HTML content and quoted attribute values
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Escape text for the inside of a single- or double-quoted JS string
+    escapeJSString(value) {
+        return JSON.stringify(String(value))
+            .slice(1, -1)
+            .replace(/'/g, '\\\'')
+            .replace(/</g, '\\u003C')
+            .replace(/>/g, '\\u003E')
+            .replace(/&/g, '\\u0026')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    // Serialise a value as a JS literal (numbers stay numbers, strings are quoted)
+    toJSLiteral(value) {
+        if (value === undefined) {
+            return 'undefined';
+        }
+        if (typeof value === 'string') {
+            return `'${this.escapeJSString(value)}'`;
+        }
+        return String(JSON.stringify(value))
+            .replace(/</g, '\\u003C')
+            .replace(/>/g, '\\u003E')
+            .replace(/&/g, '\\u0026');
+    }
+
+    // Only allow relative URLs and known-safe schemes in href/src attributes
+    isSafeURL(url) {
+        const scheme = /^\s*([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(url);
+        return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+    }
+
+    // HTML tokenizer state used to work out the context of each placeholder
+    createHTMLState() {
+        return { mode: 'text', tagName: '', closing: false, attrName: '', quote: '', valueLength: 0, js: null };
+    }
+
+    // Advance the tokenizer state over a run of literal template text
+    advanceHTMLState(state, text) {
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            switch (state.mode) {
+                case 'text':
+                    if (text.startsWith('<!--', i)) {
+                        state.mode = 'comment';
+                        i += 3;
+                    } else if (ch === '<' && /[a-zA-Z/]/.test(text[i + 1] || '')) {
+                        state.closing = text[i + 1] === '/';
+                        state.mode = 'tagName';
+                        state.tagName = '';
+                        if (state.closing) i++;
+                    }
+                    break;
+
+                case 'comment':
+                    if (text.startsWith('-->', i)) {
+                        state.mode = 'text';
+                        i += 2;
+                    }
+                    break;
+
+                case 'tagName':
+                    if (/[\s/>]/.test(ch)) {
+                        state.mode = 'tag';
+                        i--;
+                    } else {
+                        state.tagName += ch.toLowerCase();
+                    }
+                    break;
+
+                case 'tag':
+                    if (ch === '>') {
+                        const rawText = !state.closing && ['script', 'style', 'title', 'textarea'].includes(state.tagName);
+                        state.mode = rawText ? 'rawtext' : 'text';
+                        state.js = rawText && state.tagName === 'script' ? { mode: 'code', escaped: false } : null;
+                    } else if (!/[\s/]/.test(ch)) {
+                        state.mode = 'attrName';
+                        state.attrName = ch.toLowerCase();
+                    }
+                    break;
+
+                case 'attrName':
+                    if (ch === '=') {
+                        state.mode = 'beforeValue';
+                    } else if (/\s/.test(ch)) {
+                        state.mode = 'afterAttrName';
+                    } else if (ch === '>' || ch === '/') {
+                        state.mode = 'tag';
+                        i--;
+                    } else {
+                        state.attrName += ch.toLowerCase();
+                    }
+                    break;
+
+                case 'afterAttrName':
+                    if (ch === '=') {
+                        state.mode = 'beforeValue';
+                    } else if (!/\s/.test(ch)) {
+                        state.mode = 'tag';
+                        i--;
+                    }
+                    break;
+
+                case 'beforeValue':
+                    if (ch === '"' || ch === "'") {
+                        state.mode = 'value';
+                        state.quote = ch;
+                        state.valueLength = 0;
+                        state.js = state.attrName.startsWith('on') ? { mode: 'code', escaped: false } : null;
+                    } else if (ch === '>') {
+                        state.mode = 'tag';
+                        i--;
+                    } else if (!/\s/.test(ch)) {
+                        state.mode = 'unquotedValue';
+                    }
+                    break;
+
+                case 'unquotedValue':
+                    if (/\s/.test(ch)) {
+                        state.mode = 'tag';
+                    } else if (ch === '>') {
+                        state.mode = 'tag';
+                        i--;
+                    }
+                    break;
+
+                case 'value':
+                    if (ch === state.quote) {
+                        state.mode = 'tag';
+                        state.js = null;
+                    } else {
+                        state.valueLength++;
+                        if (state.js) this.advanceJSState(state.js, text, i);
+                    }
+                    break;
+
+                case 'rawtext':
+                    if (text.slice(i, i + state.tagName.length + 2).toLowerCase() === `</${state.tagName}`) {
+                        state.mode = 'tagName';
+                        state.closing = true;
+                        state.tagName = '';
+                        state.js = null;
+                        i++;
+                    } else if (state.js) {
+                        this.advanceJSState(state.js, text, i);
+                    }
+                    break;
+            }
+        }
+    }
+
+    // Track strings and comments inside inline JavaScript
+    advanceJSState(js, text, i) {
+        const ch = text[i];
+
+        if (js.escaped) {
+            js.escaped = false;
+            return;
+        }
+
+        switch (js.mode) {
+            case 'code':
+                if (ch === "'") js.mode = 'single';
+                else if (ch === '"') js.mode = 'double';
+                else if (ch === '`') js.mode = 'template';
+                else if (ch === '/' && text[i + 1] === '/') js.mode = 'lineComment';
+                else if (ch === '/' && text[i + 1] === '*') js.mode = 'blockComment';
+                break;
+            case 'single':
+            case 'double':
+            case 'template':
+                if (ch === '\\') js.escaped = true;
+                else if ((js.mode === 'single' && ch === "'") || (js.mode === 'double' && ch === '"') || (js.mode === 'template' && ch === '`')) js.mode = 'code';
+                break;
+            case 'lineComment':
+                if (ch === '\n') js.mode = 'code';
+                break;
+            case 'blockComment':
+                if (ch === '/' && text[i - 1] === '*') js.mode = 'code';
+                break;
+        }
+    }
+
+    // Name the escaping context for the current tokenizer state
+    describeHTMLContext(state) {
+        const urlAttributes = ['href', 'src', 'action', 'formaction', 'poster', 'cite'];
+
+        if (state.mode === 'text') {
+            return 'html';
+        }
+
+        if (state.mode === 'rawtext') {
+            if (state.tagName === 'title' || state.tagName === 'textarea') return 'html';
+            if (state.js && state.js.mode === 'code') return 'script';
+            if (state.js && (state.js.mode === 'single' || state.js.mode === 'double')) return 'script-string';
+            return `<${state.tagName}> ${state.js ? state.js.mode : 'content'}`;
+        }
+
+        if (state.mode === 'value') {
+            if (state.js) {
+                if (state.js.mode === 'code') return 'js';
+                if (state.js.mode === 'single' || state.js.mode === 'double') return 'js-string';
+                return `${state.attrName} handler ${state.js.mode}`;
+            }
+            if (state.attrName === 'style') return 'style attribute';
+            if (urlAttributes.includes(state.attrName) && state.valueLength === 0) return 'url';
+            return 'attr';
+        }
+
+        if (state.mode === 'unquotedValue' || state.mode === 'beforeValue') {
+            return `unquoted ${state.attrName} attribute`;
+        }
+
+        return state.mode === 'comment' ? 'HTML comment' : `inside <${state.tagName}> tag`;
+    }
+
+    // Flatten nested data into UPPER_SNAKE keys for legacy placeholders
+    flattenContext(context, prefix = '', result = new Map()) {
+        if (!context || typeof context !== 'object') {
+            return result;
+        }
+
+        Object.keys(context).forEach(key => {
+            const value = context[key];
+            const flatKey = `${prefix}${key.toUpperCase()}`;
+
+            if (typeof value === 'object' && value !== null) {
+                this.flattenContext(value, `${flatKey}_`, result);
+            } else {
+                result.set(flatKey, value || '');
+            }
+        });
+
+        return result;
+    }
+
+    // Process component templates with dynamic data
+    async processComponents(components, pageData, outputFileName = '') {
+        let componentsHTML = '';
+
+        // Load and process each component
+        for (const componentName of components) {
+            const componentPath = path.join(this.templatesDir, 'components', `${componentName}.html`);
+            const componentTemplate = this.readTemplate(componentPath);
+            let componentData = this.getComponentData(componentName, pageData);
+            
+            // null in the page data drops a shared component from that page
+            if (componentData !== null) {
+                componentData = componentData || {};
+                if (componentName === 'header') {
+                    componentData = this.markActiveNavLinks(componentData, outputFileName);
+                }
+                
+                const renderedComponent = this.renderTemplate(componentTemplate, componentData, `${componentName}.html`);
+                const processedComponent = await this.pipePlugins('transformComponent', renderedComponent, html => [componentName, html, componentData]);
+                
+                componentsHTML += processedComponent + '\n';
+            }
+        }
+
+        return componentsHTML;
+    }
+
+    // A component's data for a page: data/components/<name>.json with the page's own values layered on top
+    getComponentData(componentName, pageData) {
+        const sharedPath = path.join(this.componentsDataDir, `${componentName}.json`);
+        // Tracked even when missing, so adding the file later rebuilds the page
+        this.trackDependency(sharedPath);
+        const shared = fs.existsSync(sharedPath) ? this.readJSONData(sharedPath) : undefined;
+
+        return this.mergeComponentData(shared, pageData[componentName]);
+    }
+
+    // Objects merge key by key; anything else, arrays included, replaces the default
+    mergeComponentData(defaults, overrides) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (overrides === undefined) {
+            return defaults;
+        }
+        if (!isObject(defaults) || !isObject(overrides)) {
+            return overrides;
+        }
+
+        const merged = { ...defaults };
+        Object.entries(overrides).forEach(([key, value]) => {
+            merged[key] = this.mergeComponentData(defaults[key], value);
+        });
+        return merged;
+    }
+
+    // Flag the header nav link for the page being built; product and collection pages count as the shop,
+    // posts and tag pages as the blog
+    markActiveNavLinks(header, outputFileName) {
+        const current = /^(products|collections)\//.test(outputFileName) ? 'shop.html'
+            : outputFileName.startsWith('blog/') ? 'blog/index.html'
+                : outputFileName;
+        const target = url => String(url || '').replace(/^\.\//, '').replace(/[?#].*$/, '');
+
+        return {
+            ...header,
+            nav: (header.nav || []).map(item => ({ ...item, active: target(item.url) === current }))
+        };
+    }
+
+    // Check a page's data against the page props and each component's declared props.
+    // Every problem is reported at once, as file:line where the page came from a file.
+    validatePage(pageData, pageFile = null, label = pageFile ? path.relative(__dirname, pageFile) : 'page') {
+        const errors = [];
+        const locate = keyPath => {
+            // The closest enclosing key that exists in the page file or the shared component file
+            for (let length = keyPath.length; length > 0; length--) {
+                const pageLine = this.getJSONLine(pageFile, keyPath.slice(0, length));
+                if (pageLine) {
+                    return `${path.relative(__dirname, pageFile)}:${pageLine}`;
+                }
+                const sharedPath = path.join(this.componentsDataDir, `${keyPath[0]}.json`);
+                const sharedLine = length > 1 && this.getJSONLine(sharedPath, keyPath.slice(1, length));
+                if (sharedLine) {
+                    return `${path.relative(__dirname, sharedPath)}:${sharedLine}`;
+                }
+            }
+            return label;
+        };
+        const report = (keyPath, message) => errors.push(`${locate(keyPath)}: ${message}`);
+
+        if (!pageData.page || typeof pageData.page !== 'object') {
+            throw new Error(`${label}: missing the "page" block`);
+        }
+        this.validateProps(this.pageProps, pageData.page, ['page'], report);
+        const components = Array.isArray(pageData.page.components) ? pageData.page.components : [];
+
+        components.forEach((componentName, index) => {
+            const templatePath = path.join(this.templatesDir, 'components', `${componentName}.html`);
+            const propsPath = path.join(this.templatesDir, 'components', `${componentName}.props.json`);
+            if (!fs.existsSync(templatePath)) {
+                report(['page', 'components', index], `unknown component "${componentName}" (no ${path.relative(__dirname, templatePath)})`);
+                return;
+            }
+            if (!fs.existsSync(propsPath)) {
+                report(['page', 'components', index], `component "${componentName}" does not declare its props (add ${path.relative(__dirname, propsPath)})`);
+                return;
+            }
+
+            const componentData = this.getComponentData(componentName, pageData);
+            if (componentData === null) {
+                return;
+            }
+            if (componentData !== undefined && (typeof componentData !== 'object' || Array.isArray(componentData))) {
+                report([componentName], `"${componentName}" should be an object`);
+                return;
+            }
+            const props = this.readJSONData(propsPath);
+            if (componentData === undefined) {
+                const required = Object.keys(props).filter(name => props[name].required);
+                if (required.length > 0) {
+                    report(['page', 'components', index], `component "${componentName}" has no data (required props: ${required.join(', ')})`);
+                }
+                return;
+            }
+            this.validateProps(props, componentData, [componentName], report);
+        });
+
+        Object.keys(pageData)
+            .filter(key => key !== 'page' && !components.includes(key))
+            .forEach(key => console.warn(`⚠️  ${locate([key])}: "${key}" is not in page.components, so its data is unused`));
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid page data:\n  ${errors.join('\n  ')}`);
+        }
+    }
+
+    // Check an object against a props declaration: { name: { type, required, items, props } }
+    validateProps(props, value, keyPath, report) {
+        Object.entries(props).forEach(([name, rule]) => {
+            const propValue = value[name];
+            if (propValue === undefined || propValue === null) {
+                if (rule.required) {
+                    report(keyPath, `missing required prop "${this.formatKeyPath([...keyPath, name])}"`);
+                }
+                return;
+            }
+            this.validatePropValue(rule, propValue, [...keyPath, name], report);
+        });
+
+        Object.keys(value)
+            .filter(name => !(name in props))
+            .forEach(name => report([...keyPath, name], `unknown prop "${this.formatKeyPath([...keyPath, name])}"`));
+    }
+
+    validatePropValue(rule, value, keyPath, report) {
+        const type = Array.isArray(value) ? 'array' : typeof value;
+        if (rule.type && type !== rule.type) {
+            report(keyPath, `"${this.formatKeyPath(keyPath)}" should be a ${rule.type}, not ${type === 'object' || type === 'array' ? `an ${type}` : `a ${type}`}`);
+            return;
+        }
+
+        if (type === 'array' && rule.items) {
+            value.forEach((item, index) => this.validatePropValue(rule.items, item, [...keyPath, index], report));
+        }
+        if (type === 'object' && rule.props) {
+            this.validateProps(rule.props, value, keyPath, report);
+        }
+    }
+
+    // header.nav[1].url
+    formatKeyPath(keyPath) {
+        return keyPath.map((key, index) => (typeof key === 'number' ? `[${key}]` : `${index > 0 ? '.' : ''}${key}`)).join('');
+    }
+
+    // Inline CSS files, pruned to the selectors that can match the page (see css in site-config.json)
+    inlineCSS(pageHTML = null, scripts = [], outputFileName = '') {
+        const cssFiles = ['critical.css', 'components.css', 'checkout.css'];
+        let combinedCSS = '';
+        
+        cssFiles.forEach(cssFile => {
+            const cssPath = path.join(this.srcDir, 'styles', cssFile);
+            this.trackDependency(cssPath);
+            if (fs.existsSync(cssPath)) {
+                combinedCSS += fs.readFileSync(cssPath, 'utf8') + '\n';
+            }
+        });
+
+        const cssConfig = this.getCSSConfig();
+        if (pageHTML === null || !cssConfig.prune) {
+            return `<style>${this.minifyCSS(combinedCSS)}</style>`;
+        }
+
+        const used = this.collectUsedSelectors(pageHTML, scripts);
+        const { css, removed } = this.pruneCSS(combinedCSS, used, cssConfig.allowlist);
+        const before = Buffer.byteLength(combinedCSS);
+        const after = Buffer.byteLength(css);
+        const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+        console.log(`✂️  CSS for ${outputFileName}: ${kb(before)} → ${kb(after)} (saved ${kb(before - after)}, ${removed} unused selectors)`);
+
+        return `<style>${this.minifyCSS(css)}</style>`;
+    }
+
+    // Minify inline CSS; --debug and --no-minify builds keep it readable
+    minifyCSS(css) {
+        if (this.options.debug || !this.options.minify) {
+            return css;
+        }
+
+        const { styles, errors } = new CleanCSS().minify(css);
+        if (errors.length > 0) {
+            throw new Error(`CSS minification failed: ${errors.join('; ')}`);
+        }
+
+        return styles;
+    }
+
+    // CSS pruning settings from site-config.json
+    getCSSConfig() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const config = { prune: true, allowlist: [], ...(siteConfig.css || {}) };
+
+        if (typeof config.prune !== 'boolean') {
+            throw new Error(`css.prune in site-config.json must be true or false (got ${config.prune})`);
+        }
+        if (!Array.isArray(config.allowlist) || config.allowlist.some(entry => typeof entry !== 'string')) {
+            throw new Error('css.allowlist in site-config.json must be an array of class names or ids (* is a wildcard)');
+        }
+
+        return config;
+    }
+
+    // Class names and ids a page can contain: those in its HTML plus those its scripts create at runtime
+    collectUsedSelectors(html, scripts) {
+        const classes = new Set();
+        const ids = new Set();
+        const addClasses = value => value.split(/\s+/)
+            .filter(name => name && !name.includes('${'))
+            .forEach(name => classes.add(name));
+
+        const scan = source => {
+            for (const match of source.matchAll(/\bclass=["'`]([^"'`]*)["'`]/g)) addClasses(match[1]);
+            for (const match of source.matchAll(/\bid=["'`]([^"'`$]*)["'`]/g)) ids.add(match[1]);
+        };
+
+        scan(html);
+        scripts.forEach(script => {
+            if (!fs.existsSync(script.file)) {
+                return;
+            }
+
+            const source = fs.readFileSync(script.file, 'utf8');
+            scan(source);
+            for (const match of source.matchAll(/\.className\s*=\s*(['"`])([^'"`]*)\1/g)) addClasses(match[2]);
+            for (const match of source.matchAll(/\.classList\.\w+\(([^)]*)\)/g)) {
+                for (const arg of match[1].matchAll(/(['"`])([^'"`]+)\1/g)) addClasses(arg[2]);
+            }
+            for (const match of source.matchAll(/\.id\s*=\s*(['"`])([^'"`$]*)\1/g)) ids.add(match[2]);
+        });
+
+        return { classes, ids };
+    }
+
+    // Drop selectors that can never match the page; at-rules other than @media/@supports are kept as-is
+    pruneCSS(css, used, allowlist = []) {
+        const allowed = allowlist.map(entry => new RegExp(`^${entry.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+        const isUsed = (name, set) => set.has(name) || allowed.some(pattern => pattern.test(name));
+        let removed = 0;
+
+        const canMatch = selector => {
+            // Arguments of :not()/:nth-child() and attribute selectors don't add requirements
+            let simplified = selector;
+            while (/\([^()]*\)/.test(simplified)) {
+                simplified = simplified.replace(/\([^()]*\)/g, '');
+            }
+            simplified = simplified.replace(/\[[^\]]*\]/g, '');
+
+            const classes = (simplified.match(/\.[A-Za-z_-][\w-]*/g) || []).map(name => name.slice(1));
+            const ids = (simplified.match(/#[A-Za-z_-][\w-]*/g) || []).map(name => name.slice(1));
+            return classes.every(name => isUsed(name, used.classes)) && ids.every(name => isUsed(name, used.ids));
+        };
+
+        const prune = source => {
+            let output = '';
+            let i = 0;
+
+            while (i < source.length) {
+                const open = source.indexOf('{', i);
+                const semicolon = source.indexOf(';', i);
+
+                // Statement at-rules like @import or @charset
+                if (semicolon !== -1 && (open === -1 || semicolon < open) && source.slice(i, semicolon).trim().startsWith('@')) {
+                    output += `${source.slice(i, semicolon + 1).trim()}\n`;
+                    i = semicolon + 1;
+                    continue;
+                }
+                if (open === -1) {
+                    break;
+                }
+
+                let depth = 1;
+                let close = open + 1;
+                while (close < source.length && depth > 0) {
+                    if (source[close] === '{') depth++;
+                    if (source[close] === '}') depth--;
+                    close++;
+                }
+
+                const prelude = source.slice(i, open).trim();
+                const body = source.slice(open + 1, close - 1);
+                i = close;
+
+                if (/^@(media|supports)\b/.test(prelude)) {
+                    const inner = prune(body);
+                    if (inner.trim()) {
+                        output += `${prelude} {\n${inner}}\n`;
+                    }
+                } else if (prelude.startsWith('@')) {
+                    output += `${prelude} {${body}}\n`;
+                } else {
+                    const selectors = prelude.split(/,(?![^(]*\))/).map(selector => selector.trim()).filter(Boolean);
+                    const kept = selectors.filter(canMatch);
+                    removed += selectors.length - kept.length;
+                    if (kept.length > 0) {
+                        output += `${kept.join(', ')} {${body}}\n`;
+                    }
+                }
+            }
+
+            return output;
+        };
+
+        return { css: prune(css.replace(/\/\*[\s\S]*?\*\//g, '')), removed };
+    }
+
+    // Settings for the runtime scripts: config/default.json, then config/<env>.json if there is one, then the environment
+    // variables in runtimeConfigEnv, merged key by key. Returns the public config, stamped with the build environment
+    // and version, and the "private" values, which plugins may use but pages never see.
+    getRuntimeConfig() {
+        const env = this.options.env;
+        const envFile = path.join(this.configDir, `${env}.json`);
+        const layers = [path.join(this.configDir, 'default.json'), ...(fs.existsSync(envFile) ? [envFile] : [])]
+            .map(file => ({ file, data: this.readJSONData(file) }));
+
+        const fromEnv = {};
+        const envNames = {};
+        Object.entries(this.runtimeConfigEnv)
+            .filter(([name]) => process.env[name] !== undefined && process.env[name] !== '')
+            .forEach(([name, keyPath]) => {
+                const parent = keyPath.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), fromEnv);
+                parent[keyPath[keyPath.length - 1]] = process.env[name];
+                envNames[keyPath.join('.')] = name;
+            });
+        layers.push({ file: null, data: fromEnv });
+
+        // Problems are reported where the value came from: the last layer that sets it
+        const errors = [];
+        const locate = keyPath => {
+            for (const { file } of layers.slice().reverse()) {
+                const line = file ? this.getJSONLine(file, keyPath) : null;
+                if (line) {
+                    return `${path.relative(__dirname, file)}:${line}`;
+                }
+                if (!file && envNames[keyPath.join('.')]) {
+                    return `$${envNames[keyPath.join('.')]}`;
+                }
+            }
+            return path.relative(__dirname, layers[0].file);
+        };
+        const report = (keyPath, message) => errors.push(`${locate(keyPath)}: ${message}`);
+
+        layers.forEach(({ file, data }) => {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error(`${path.relative(__dirname, file)} must be an object of SHOPIFY_CONFIG settings`);
+            }
+        });
+        const merged = layers.reduce((config, { data }) => this.mergeComponentData(config, data), {});
+
+        this.validateProps(this.runtimeConfigProps, merged, [], report);
+        const { private: privateConfig = {}, ...config } = merged;
+
+        // Values that look like credentials only belong under "private"
+        const findSecrets = (value, keyPath) => {
+            if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => findSecrets(child, [...keyPath, key]));
+            } else if (/secret|password|private|admin/i.test(keyPath.join('.')) || /^shp(at|ca|pa|ss)_/.test(String(value))) {
+                report(keyPath, `"${this.formatKeyPath(keyPath)}" looks like a private value - move it under "private" so it is never inlined into a page`);
+            }
+        };
+        findSecrets(config, []);
+
+        if (typeof config.domain === 'string' && !/^[a-z0-9.-]+(:\d+)?$/i.test(config.domain)) {
+            report(['domain'], `"domain" should be a host name such as your-shop.myshopify.com (got ${config.domain})`);
+        }
+        if (typeof config.apiVersion === 'string' && !/^(\d{4}-\d{2}|unstable)$/.test(config.apiVersion)) {
+            report(['apiVersion'], `"apiVersion" should look like 2024-01 (got ${config.apiVersion})`);
+        }
+        if (typeof config.baseUrl === 'string' && !/^https?:\/\//.test(config.baseUrl)) {
+            report(['baseUrl'], `"baseUrl" should be an http(s) URL (got ${config.baseUrl})`);
+        }
+        ['maxItems', 'maxQuantityPerItem'].forEach(key => {
+            const value = config.checkout?.[key];
+            if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                report(['checkout', key], `"checkout.${key}" should be a positive integer (got ${value})`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${env} config:\n  ${errors.join('\n  ')}`);
+        }
+
+        const packageData = this.readJSONData(path.join(__dirname, 'package.json'));
+        return {
+            config: { ...config, environment: env, version: process.env.BUILD_VERSION || packageData.version },
+            privateConfig
+        };
+    }
+
+    // The shopify-config script. Fails rather than inline a page that would contain any private value.
+    getRuntimeConfigScript() {
+        const { config, privateConfig } = this.getRuntimeConfig();
+        const json = JSON.stringify(config);
+
+        const findLeaks = (value, keyPath) => {
+            if (value && typeof value === 'object') {
+                return Object.entries(value).flatMap(([key, child]) => findLeaks(child, [...keyPath, key]));
+            }
+            const text = JSON.stringify(String(value)).slice(1, -1);
+            return text.length >= 8 && json.includes(text) ? [this.formatKeyPath(keyPath)] : [];
+        };
+        const leaks = findLeaks(privateConfig, ['private']);
+        if (leaks.length > 0) {
+            throw new Error(`Refusing to inline SHOPIFY_CONFIG: it contains the value of ${leaks.join(', ')}`);
+        }
+
+        return `window.SHOPIFY_CONFIG = Object.freeze(${json.replace(/</g, '\\u003c')});\n`;
+    }
+
+    // Runtime scripts in load order, with the scripts each one needs loaded before it and the ones it loads itself
+    // on demand (lazy). shopify-config is generated from config/ rather than read from a file.
+    getScriptRegistry() {
+        return [
+            { name: 'security', file: path.join(this.srcDir, 'scripts', 'security.js') },
+            { name: 'shopify-config', generate: () => this.getRuntimeConfigScript() },
+            { name: 'shopify-client', file: path.join(this.srcDir, 'scripts', 'shopify-client.js'), requires: ['shopify-config'] },
+            { name: 'checkout', file: path.join(this.srcDir, 'scripts', 'performance-checkout.js') },
+            { name: 'cart', file: path.join(this.srcDir, 'scripts', 'mock-shop-cart.js'), lazy: ['checkout'] },
+            { name: 'search', file: path.join(this.srcDir, 'scripts', 'search.js') },
+            { name: 'app', file: path.join(this.srcDir, 'scripts', 'app.js'), requires: ['security'] }
+        ];
+    }
+
+    // Script settings from site-config.json
+    getScriptsConfig() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const config = { externalThreshold: 0, ...(siteConfig.scripts || {}) };
+
+        if (!Number.isInteger(config.externalThreshold) || config.externalThreshold < 0) {
+            throw new Error(`scripts.externalThreshold in site-config.json must be a number of bytes, 0 or more (got ${config.externalThreshold})`);
+        }
+
+        return config;
+    }
+
+    // Scripts a page needs: shopify-config, plus its explicit page.scripts list or app and whatever its components need
+    getPageScripts(pageData) {
+        const registry = this.getScriptRegistry();
         const components = pageData.page?.components || [];
-        let html = await this.processComponents(baseTemplate, components, pageData);
+        const requested = Array.isArray(pageData.page?.scripts)
+            ? pageData.page.scripts
+            : ['app', ...components.flatMap(component => this.componentScripts[component] || [])];
+
+        const needed = new Set();
+        const add = name => {
+            const script = registry.find(entry => entry.name === name);
+            if (!script) {
+                throw new Error(`Unknown script "${name}" in page scripts (available: ${registry.map(entry => entry.name).join(', ')})`);
+            }
+            if (!needed.has(name)) {
+                needed.add(name);
+                (script.requires || []).forEach(add);
+            }
+        };
+        // Every page gets shopify-config, so the runtime always knows which environment and version it is
+        ['shopify-config', ...requested].forEach(add);
+
+        return registry.filter(script => needed.has(script.name));
+    }
+
+    // Scripts the page's scripts load on demand that the page doesn't already include
+    getLazyScripts(scripts) {
+        const included = scripts.map(script => script.name);
+        const names = new Set(scripts.flatMap(script => script.lazy || []));
+        return this.getScriptRegistry().filter(script => names.has(script.name) && !included.includes(script.name));
+    }
+
+    // A lazy script is always a hashed file; the page only gets its URL, as <meta name="lazy-script">
+    async getLazyScriptTags(lazyScripts, assetPrefix = '') {
+        const tags = [];
+        for (const script of lazyScripts) {
+            this.trackDependency(script.file);
+            const source = await this.minifyJS(fs.readFileSync(script.file, 'utf8'), script.file);
+            tags.push(`<meta name="lazy-script" data-name="${script.name}" content="${assetPrefix}${this.writeScriptAsset(script.name, source)}">`);
+        }
+        return tags.join('\n    ');
+    }
+
+    // Inline a page's scripts; scripts over scripts.externalThreshold become hashed files in dist/assets shared between pages
+    async inlineJS(scripts = this.getScriptRegistry(), assetPrefix = '') {
+        const { externalThreshold } = this.getScriptsConfig();
+        const tags = [];
+        let combinedJS = '';
+
+        for (const script of scripts) {
+            let source;
+            if (script.generate) {
+                this.trackInput('runtime-config');
+                source = await this.minifyJS(script.generate(), path.join(__dirname, `${script.name}.js`));
+            } else {
+                this.trackDependency(script.file);
+                if (!fs.existsSync(script.file)) {
+                    continue;
+                }
+                source = await this.minifyJS(fs.readFileSync(script.file, 'utf8'), script.file);
+            }
+
+            if (externalThreshold > 0 && Buffer.byteLength(source) > externalThreshold) {
+                // Keep load order: flush what has been inlined so far before the external script
+                if (combinedJS) {
+                    tags.push(`<script>${combinedJS}</script>`);
+                    combinedJS = '';
+                }
+                tags.push(`<script src="${assetPrefix}${this.writeScriptAsset(script.name, source)}"></script>`);
+            } else {
+                combinedJS += source + '\n';
+            }
+        }
+
+        if (combinedJS) {
+            tags.push(`<script>${combinedJS}</script>`);
+        }
+
+        return tags.join('\n');
+    }
+
+    // Minify and mangle a script, dropping console.log/console.warn calls (console.error stays). --no-minify only drops
+    // the calls and keeps the code readable; --debug leaves scripts untouched.
+    async minifyJS(source, file) {
+        if (this.options.debug) {
+            return source;
+        }
+
+        const key = crypto.createHash('sha256').update(source).digest('hex');
+        if (!this.minifiedScripts.has(key)) {
+            const options = this.options.minify
+                ? { compress: { pure_funcs: ['console.log', 'console.warn'] }, mangle: true }
+                : {
+                    compress: { defaults: false, side_effects: true, pure_funcs: ['console.log', 'console.warn'] },
+                    mangle: false,
+                    format: { beautify: true, comments: 'all', indent_level: 4 }
+                };
+            try {
+                const { code } = await terser.minify(source, options);
+                this.minifiedScripts.set(key, code);
+            } catch (error) {
+                const where = error.line ? `:${error.line}:${error.col + 1}` : '';
+                throw new Error(`${path.relative(__dirname, file)}${where}: JavaScript minification failed (${error.message})`);
+            }
+        }
+
+        return this.minifiedScripts.get(key);
+    }
+
+    // Write a script to dist/assets under a content-hashed name and return its path relative to dist
+    writeScriptAsset(name, source) {
+        const hash = crypto.createHash('sha256').update(source).digest('hex').slice(0, 8);
+        const assetPath = `assets/${name}.${hash}.js`;
+        const outputPath = path.join(this.distDir, assetPath);
+
+        if (!fs.existsSync(outputPath)) {
+            fs.outputFileSync(outputPath, source);
+        }
+
+        return assetPath;
+    }
+
+    // Output file for a data/pages file - the home page becomes index.html
+    getPageOutputName(pageFile) {
+        const pageName = path.basename(pageFile, '.json');
+        return pageName === 'home' ? 'index.html' : `${pageName}.html`;
+    }
+
+    // Build a single page
+    async buildPage(pageFile) {
+        const pageName = path.basename(pageFile, '.json');
+        const pageData = this.readJSONData(pageFile);
+        
+        console.log(`Building page: ${pageName}`);
+        this.validatePage(pageData, pageFile);
+
+        await this.renderPage(pageData, this.getPageOutputName(pageFile));
+    }
+
+    // Build a product's detail page
+    async buildProductPage(node) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const detail = this.getProductDetailData(node);
+        this.trackInput(`catalog:product:${detail.handle}`);
+
+        const pageData = {
+            page: {
+                title: `${node.title} | ${siteConfig.siteName || ''}`.replace(/ \| $/, ''),
+                description: node.description,
+                components: ['header', 'product-detail', 'footer'],
+                social: { type: 'product', image: detail.images[0]?.large_url },
+                structuredData: [
+                    this.getProductSchema(node),
+                    this.getBreadcrumbSchema([
+                        { name: 'Home', path: '' },
+                        { name: 'Shop', path: 'shop.html' },
+                        { name: detail.category, path: detail.category_url },
+                        { name: node.title, path: `products/${detail.handle}.html` }
+                    ])
+                ]
+            },
+            'product-detail': detail
+        };
+
+        this.validatePage(pageData, null, `products/${detail.handle}.html`);
+        await this.renderPage(pageData, `products/${detail.handle}.html`);
+    }
+
+    // Build a category's listing page
+    async buildCollectionPage({ category, products }) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        this.trackInput(`catalog:collection:${category.slug}`);
+
+        const { productsHTML, productsCount } = this.generateProductHTML(products);
+        const pageData = {
+            page: {
+                title: `${category.title} | ${siteConfig.siteName || ''}`.replace(/ \| $/, ''),
+                description: category.description || `Shop ${category.title}`,
+                components: ['header', 'collection', 'footer'],
+                social: { image: this.getResizedImageURL(products[0]?.node.featuredImage?.url, 1200) },
+                structuredData: [
+                    this.getBreadcrumbSchema([
+                        { name: 'Home', path: '' },
+                        { name: 'Shop', path: 'shop.html' },
+                        { name: category.title, path: `collections/${category.slug}.html` }
+                    ]),
+                    ...products.map(({ node }) => this.getProductSchema(node))
+                ]
+            },
+            collection: {
+                title: category.title,
+                description: category.description,
+                products_html: productsHTML,
+                products_count: productsCount
+            }
+        };
+
+        this.validatePage(pageData, null, `collections/${category.slug}.html`);
+        await this.renderPage(pageData, `collections/${category.slug}.html`);
+    }
+
+    // Blog settings from site-config.json
+    getBlogConfig() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const config = { title: 'Blog', description: '', postsPerPage: 10, ...(siteConfig.blog || {}) };
+
+        if (!Number.isInteger(config.postsPerPage) || config.postsPerPage < 1) {
+            throw new Error(`blog.postsPerPage in site-config.json must be a positive integer (got ${config.postsPerPage})`);
+        }
+        return config;
+    }
+
+    // Published posts from data/posts/*.md, newest first
+    getPosts() {
+        const posts = glob.sync(path.join(this.postsDir, '*.md'))
+            .map(file => this.readPost(file))
+            .filter(post => !post.draft)
+            .sort((a, b) => b.date - a.date || a.slug.localeCompare(b.slug));
+
+        const slugs = new Map();
+        posts.forEach(post => {
+            if (slugs.has(post.slug)) {
+                throw new Error(`${path.relative(__dirname, post.file)}: slug "${post.slug}" is already used by ${path.relative(__dirname, slugs.get(post.slug))}`);
+            }
+            slugs.set(post.slug, post.file);
+        });
+
+        return posts;
+    }
+
+    // Parse a Markdown post: front matter between --- lines, then the body
+    readPost(file) {
+        this.trackDependency(file);
+        const label = path.relative(__dirname, file);
+        const source = fs.readFileSync(file, 'utf8');
+        const { data, lines, body } = this.parseFrontMatter(source, label);
+        const at = key => `${label}:${lines[key] || 1}`;
+
+        if (typeof data.title !== 'string' || !data.title) {
+            throw new Error(`${at('title')}: posts need a title`);
+        }
+        const date = /^\d{4}-\d{2}-\d{2}/.test(data.date || '') ? new Date(data.date) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            throw new Error(`${at('date')}: date must be YYYY-MM-DD (got ${JSON.stringify(data.date)})`);
+        }
+        if (data.tags !== undefined && !Array.isArray(data.tags)) {
+            throw new Error(`${at('tags')}: tags must be a list, e.g. [performance, css]`);
+        }
+
+        const slug = data.slug || this.slugify(path.basename(file, '.md').replace(/^\d{4}-\d{2}-\d{2}-/, ''));
+        let html;
+        try {
+            html = this.renderMarkdown(body);
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+
+        return {
+            file,
+            slug,
+            output: `blog/${slug}.html`,
+            title: data.title,
+            description: typeof data.description === 'string' ? data.description : '',
+            image: typeof data.image === 'string' ? data.image : '',
+            date,
+            tags: (data.tags || []).map(String),
+            draft: data.draft === true,
+            html
+        };
+    }
+
+    // Front matter is "key: value" lines; values can be quoted, true/false, [a, b] or an indented "- item" list
+    parseFrontMatter(source, label) {
+        const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(source);
+        if (!match) {
+            throw new Error(`${label}:1: missing front matter (a --- block with at least title and date)`);
+        }
+
+        const data = {};
+        const lines = {};
+        let listKey = null;
+
+        match[1].split(/\r?\n/).forEach((line, index) => {
+            const lineNumber = index + 2;
+            if (/^\s*(#.*)?$/.test(line)) {
+                return;
+            }
+
+            const item = /^\s+-\s+(.*)$/.exec(line);
+            if (item && listKey) {
+                data[listKey] = Array.isArray(data[listKey]) ? data[listKey] : [];
+                data[listKey].push(this.parseFrontMatterValue(item[1]));
+                return;
+            }
+
+            const field = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+            if (!field) {
+                throw new Error(`${label}:${lineNumber}: expected "key: value" in front matter, got "${line.trim()}"`);
+            }
+            lines[field[1]] = lineNumber;
+            data[field[1]] = this.parseFrontMatterValue(field[2]);
+            listKey = field[2].trim() === '' ? field[1] : null;
+        });
+
+        return { data, lines, body: source.slice(match[0].length) };
+    }
+
+    parseFrontMatterValue(value) {
+        const text = value.trim();
+        if (/^\[.*\]$/.test(text)) {
+            return text.slice(1, -1).split(',').map(part => this.parseFrontMatterValue(part)).filter(part => part !== '');
+        }
+        if (/^(['"]).*\1$/.test(text)) {
+            return text.slice(1, -1);
+        }
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        return text;
+    }
+
+    // Markdown to HTML: headings, paragraphs, lists, blockquotes, fenced code, rules, links, images and emphasis.
+    // Raw HTML is escaped rather than passed through, so a post can't break the page's CSP.
+    renderMarkdown(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const listItem = /^\s*([-*+]|\d+\.)\s+/;
+        const blockStart = /^(#{1,6}\s|```|>|\s*([-*+]|\d+\.)\s+)/;
+        const isBlank = line => /^\s*$/.test(line);
+        const html = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (isBlank(line)) {
+                index++;
+                continue;
+            }
+
+            const fence = /^```\s*([\w-]*)\s*$/.exec(line);
+            if (fence) {
+                const code = [];
+                index++;
+                while (index < lines.length && !/^```\s*$/.test(lines[index])) {
+                    code.push(lines[index++]);
+                }
+                index++;
+                const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+                html.push(`<pre><code${language}>${this.escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level} id="${this.slugify(heading[2])}">${this.renderInlineMarkdown(heading[2])}</h${level}>`);
+                index++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                index++;
+                continue;
+            }
+
+            if (line.startsWith('>')) {
+                const quote = [];
+                while (index < lines.length && lines[index].startsWith('>')) {
+                    quote.push(lines[index++].replace(/^>\s?/, ''));
+                }
+                html.push(`<blockquote>\n${this.renderMarkdown(quote.join('\n'))}\n</blockquote>`);
+                continue;
+            }
+
+            if (listItem.test(line)) {
+                const tag = /^\s*\d+\./.test(line) ? 'ol' : 'ul';
+                const items = [];
+                while (index < lines.length && listItem.test(lines[index])) {
+                    const text = [lines[index++].replace(listItem, '')];
+                    // Indented lines continue the item
+                    while (index < lines.length && /^\s{2,}\S/.test(lines[index]) && !listItem.test(lines[index])) {
+                        text.push(lines[index++].trim());
+                    }
+                    items.push(`<li>${this.renderInlineMarkdown(text.join('\n'))}</li>`);
+                }
+                html.push(`<${tag}>\n${items.join('\n')}\n</${tag}>`);
+                continue;
+            }
+
+            const paragraph = [line];
+            index++;
+            while (index < lines.length && !isBlank(lines[index]) && !blockStart.test(lines[index])) {
+                paragraph.push(lines[index++]);
+            }
+            html.push(`<p>${this.renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    // Inline Markdown: `code`, ![images](src), [links](href), **strong**, *em* and two-space line breaks
+    renderInlineMarkdown(text) {
+        const codeSpans = [];
+        // Link and image attributes are set aside too, so emphasis never rewrites a URL or alt text
+        const attributes = [];
+        const attribute = value => `\u0001${attributes.push(value) - 1}\u0001`;
+        const url = value => {
+            if (!this.isSafeURL(value)) {
+                throw new Error(`unsafe URL "${value}" in Markdown`);
+            }
+            return value;
+        };
+
+        // Escaped first, so everything below only ever adds markup the builder wrote
+        return this.escapeHTML(text)
+            .replace(/`([^`]+)`/g, (match, code) => `\u0000${codeSpans.push(code) - 1}\u0000`)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => `<img src="${attribute(url(src))}" alt="${attribute(alt)}" loading="lazy">`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => `<a href="${attribute(url(href))}">${label}</a>`)
+            .replace(/(\*\*|\b__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(\*|\b_)(?=\S)([\s\S]*?\S)\1(?!\w)/g, '<em>$2</em>')
+            .replace(/ {2,}\n/g, '<br>\n')
+            .replace(/\u0001(\d+)\u0001/g, (match, attributeIndex) => attributes[attributeIndex])
+            .replace(/\u0000(\d+)\u0000/g, (match, codeIndex) => `<code>${codeSpans[codeIndex]}</code>`);
+    }
 
-        // Replace page-level variables
-        html = html.replace(/\{\{LANGUAGE\}\}/g, siteConfig.language || 'en');
-        html = html.replace(/\{\{TITLE\}\}/g, pageData.page.title || '');
-        html = html.replace(/\{\{DESCRIPTION\}\}/g, pageData.page.description || '');
-        
-        // Add security features
-        const csrfToken = this.generateCSRFToken();
-        html = html.replace('{{CSRF_TOKEN}}', csrfToken);
+    // Tags across all posts, grouped by slug
+    getPostTags(posts) {
+        const tags = new Map();
+        posts.forEach(post => post.tags.forEach(name => {
+            const slug = this.slugify(name);
+            if (!tags.has(slug)) {
+                tags.set(slug, { slug, name, output: `blog/tags/${slug}.html`, posts: [] });
+            }
+            tags.get(slug).posts.push(post);
+        }));
+        return Array.from(tags.values()).sort((a, b) => a.slug.localeCompare(b.slug));
+    }
 
-        // Inline CSS and JS
-        html = html.replace('{{INLINE_CSS}}', this.inlineCSS());
-        html = html.replace('{{INLINE_JS}}', this.inlineJS());
+    getBlogIndexOutput(pageNumber) {
+        return pageNumber === 1 ? 'blog/index.html' : `blog/page/${pageNumber}.html`;
+    }
 
-        // Clean up any remaining placeholders
-        html = html.replace(/\{\{[^}]+\}\}/g, '');
+    // Date as the site's language writes it, e.g. "August 1, 2025"
+    formatPostDate(date) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        return new Intl.DateTimeFormat(siteConfig.language || 'en', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }).format(date);
+    }
 
-        // Minify HTML (optional - comment out for debugging)
-        try {
-            html = await minify.html(html);
-        } catch (error) {
-            console.warn('Minification failed, using unminified HTML');
+    // Template data for a post in a list or on its own page
+    getPostSummary(post) {
+        return {
+            title: post.title,
+            description: post.description,
+            url: post.output,
+            date: post.date.toISOString().slice(0, 10),
+            date_display: this.formatPostDate(post.date),
+            tags: post.tags.map(name => ({ name, url: `blog/tags/${this.slugify(name)}.html` }))
+        };
+    }
+
+    // Build a post's page from its Markdown file
+    async buildPostPage(file) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const blog = this.getBlogConfig();
+        const post = this.readPost(file);
+
+        const pageData = {
+            page: {
+                title: `${post.title} | ${siteConfig.siteName || ''}`.replace(/ \| $/, ''),
+                description: post.description,
+                components: ['header', 'post', 'footer'],
+                feed: true,
+                social: { type: 'article', ...(post.image && { image: post.image }) },
+                structuredData: [
+                    {
+                        '@type': 'BlogPosting',
+                        headline: post.title,
+                        description: post.description,
+                        datePublished: post.date.toISOString(),
+                        author: { '@type': 'Person', name: siteConfig.author },
+                        keywords: post.tags.join(', '),
+                        url: this.getAbsoluteURL(post.output),
+                        ...(post.image && { image: this.getAbsoluteURL(post.image) })
+                    },
+                    this.getBreadcrumbSchema([
+                        { name: 'Home', path: '' },
+                        { name: blog.title, path: 'blog/index.html' },
+                        { name: post.title, path: post.output }
+                    ])
+                ]
+            },
+            post: {
+                ...this.getPostSummary(post),
+                blog_title: blog.title,
+                content_html: post.html
+            }
+        };
+
+        this.validatePage(pageData, null, post.output);
+        await this.renderPage(pageData, post.output);
+    }
+
+    // Page data for a list of posts: the blog index pages and tag pages
+    getPostListPageData({ title, heading, description, posts, pagination = null }) {
+        return {
+            page: {
+                title,
+                description,
+                components: ['header', 'blog-index', 'footer'],
+                feed: true
+            },
+            'blog-index': {
+                title: heading,
+                description,
+                posts: posts.map(post => this.getPostSummary(post)),
+                has_pagination: Boolean(pagination),
+                ...(pagination || {})
+            }
+        };
+    }
+
+    // Build one page of the blog index
+    async buildBlogIndexPage(pageNumber) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const blog = this.getBlogConfig();
+        this.trackInput('posts');
+        const posts = this.getPosts();
+        const pageCount = Math.ceil(posts.length / blog.postsPerPage);
+        const output = this.getBlogIndexOutput(pageNumber);
+
+        const pageData = this.getPostListPageData({
+            title: `${blog.title}${pageNumber > 1 ? ` (page ${pageNumber})` : ''} | ${siteConfig.siteName || ''}`.replace(/ \| $/, ''),
+            heading: blog.title,
+            description: blog.description,
+            posts: posts.slice((pageNumber - 1) * blog.postsPerPage, pageNumber * blog.postsPerPage),
+            pagination: pageCount > 1 ? {
+                page_number: pageNumber,
+                page_count: pageCount,
+                newer_url: pageNumber > 1 ? this.getBlogIndexOutput(pageNumber - 1) : '',
+                older_url: pageNumber < pageCount ? this.getBlogIndexOutput(pageNumber + 1) : ''
+            } : null
+        });
+
+        this.validatePage(pageData, null, output);
+        await this.renderPage(pageData, output);
+    }
+
+    // Build the list of posts with a tag
+    async buildTagPage(slug) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const blog = this.getBlogConfig();
+        this.trackInput('posts');
+        const tag = this.getPostTags(this.getPosts()).find(entry => entry.slug === slug);
+
+        const pageData = this.getPostListPageData({
+            title: `Posts tagged “${tag.name}” | ${siteConfig.siteName || ''}`.replace(/ \| $/, ''),
+            heading: `Posts tagged “${tag.name}”`,
+            description: `${tag.posts.length} ${tag.posts.length === 1 ? 'post' : 'posts'} from the ${blog.title.toLowerCase()}`,
+            posts: tag.posts
+        });
+
+        this.validatePage(pageData, null, tag.output);
+        await this.renderPage(pageData, tag.output);
+    }
+
+    // Atom feed of the newest posts, with links made absolute
+    getFeedXML(posts) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const blog = this.getBlogConfig();
+        const xml = value => this.escapeHTML(value);
+        const absolute = html => this.rebaseRelativeLinks(html, this.getAbsoluteURL(''));
+        const blogURL = this.getAbsoluteURL('blog/index.html');
+
+        const entries = posts.slice(0, 20).map(post => [
+            '  <entry>',
+            `    <title>${xml(post.title)}</title>`,
+            `    <link href="${xml(this.getAbsoluteURL(post.output))}"/>`,
+            `    <id>${xml(this.getAbsoluteURL(post.output))}</id>`,
+            `    <updated>${post.date.toISOString()}</updated>`,
+            ...(post.description ? [`    <summary>${xml(post.description)}</summary>`] : []),
+            ...post.tags.map(tag => `    <category term="${xml(tag)}"/>`),
+            `    <content type="html">${xml(absolute(post.html))}</content>`,
+            '  </entry>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${xml(`${siteConfig.siteName || ''} ${blog.title}`.trim())}</title>`,
+            `  <link href="${xml(blogURL)}"/>`,
+            `  <link rel="self" href="${xml(this.getAbsoluteURL('feed.xml'))}"/>`,
+            `  <id>${xml(blogURL)}</id>`,
+            `  <updated>${(posts[0]?.date || new Date()).toISOString()}</updated>`,
+            `  <author><name>${xml(siteConfig.author || siteConfig.siteName || '')}</name></author>`,
+            ...entries,
+            '</feed>',
+            ''
+        ].join('\n');
+    }
+
+    // Every output page: data/pages, the blog and whatever the plugins add (the shop plugin's product and collection pages)
+    async getBuildUnits() {
+        const pageFiles = glob.sync(path.join(this.dataDir, 'pages', '*.json'));
+        const pluginUnits = (await this.callPlugins('pages')).flat();
+
+        return [
+            ...pageFiles.map(pageFile => ({
+                type: 'page',
+                output: this.getPageOutputName(pageFile),
+                noindex: Boolean(this.readJSONData(pageFile).page?.noindex),
+                build: () => this.buildPage(pageFile)
+            })),
+            ...pluginUnits,
+            ...this.getBlogUnits()
+        ];
+    }
+
+    // Post pages, the paginated blog index and one page per tag - nothing when there are no posts
+    getBlogUnits() {
+        const posts = this.getPosts();
+        if (posts.length === 0) {
+            return [];
+        }
+
+        const { postsPerPage } = this.getBlogConfig();
+        const pageCount = Math.ceil(posts.length / postsPerPage);
+
+        return [
+            ...posts.map(post => ({
+                type: 'post',
+                output: post.output,
+                build: () => this.buildPostPage(post.file)
+            })),
+            ...Array.from({ length: pageCount }, (_, index) => ({
+                type: 'blog',
+                output: this.getBlogIndexOutput(index + 1),
+                build: () => this.buildBlogIndexPage(index + 1)
+            })),
+            ...this.getPostTags(posts).map(tag => ({
+                type: 'blog',
+                output: tag.output,
+                build: () => this.buildTagPage(tag.slug)
+            }))
+        ];
+    }
+
+    // Build every page whose inputs changed since the last build, and remove pages that no longer exist.
+    // With options.pages only those pages are built, changed or not. A page that throws is reported in failed
+    // and left out of the manifest, so the next build tries it again.
+    async buildChangedPages() {
+        this.inputHashes.clear();
+        const units = await this.getBuildUnits();
+        const selected = this.selectBuildUnits(units);
+        const outputs = new Set(units.map(unit => unit.output));
+        const rebuilt = [];
+        const failed = [];
+
+        for (const unit of selected) {
+            const reason = selected.length < units.length ? 'selected with --page' : this.getRebuildReason(unit.output);
+            if (!reason) {
+                continue;
+            }
+
+            console.log(`↻ ${unit.output} (${reason})`);
+            try {
+                await this.trackBuild(unit.output, unit.build);
+                rebuilt.push(unit);
+            } catch (error) {
+                this.dependencies.delete(unit.output);
+                failed.push({ unit, error });
+                console.error(`❌ ${unit.output}: ${error.message}`);
+            }
+        }
+
+        for (const output of Array.from(this.dependencies.keys())) {
+            if (!outputs.has(output)) {
+                fs.removeSync(path.join(this.distDir, output));
+                this.dependencies.delete(output);
+                console.log(`🗑  Removed ${output} (no longer generated)`);
+            }
+        }
+
+        return { units, selected, rebuilt, failed };
+    }
+
+    // The units named in options.pages, by output (products/slides.html) or data/pages name (shop, home)
+    selectBuildUnits(units) {
+        if (this.options.pages.length === 0) {
+            return units;
+        }
+
+        return this.options.pages.flatMap(page => {
+            const output = /\.html$/.test(page) ? page : this.getPageOutputName(`${page}.json`);
+            const matches = units.filter(unit => unit.output === output || unit.output === `${page}.html`);
+            if (matches.length === 0) {
+                throw new Error(`No page "${page}" to build (pages are data/pages names or output paths, e.g. shop or products/slides.html)`);
+            }
+            return matches;
+        }).filter((unit, index, list) => list.indexOf(unit) === index);
+    }
+
+    // Render a page's components into the base layout and write it to dist
+    async renderPage(sourceData, outputFileName) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const pageData = await this.pipePlugins('loadData', sourceData, data => [data, { output: outputFileName }]);
+
+        // Load base template
+        const baseTemplate = this.readTemplate(path.join(this.templatesDir, 'base.html'));
+        if (!baseTemplate) {
+            throw new Error('Base template not found (src/templates/base.html)');
         }
 
-        // Write output file - special case for home page
-        let outputFileName = `${pageName}.html`;
-        if (pageName === 'home') {
-            outputFileName = 'index.html';
+        // Process components
+        const components = pageData.page?.components || [];
+        let componentsHTML = await this.processComponents(components, pageData, outputFileName);
+
+        // Pages in subdirectories (products/, collections/) need their relative links pointed back at the site root.
+        // The 404 page is served at whatever URL was missing, so its links are made root-relative instead.
+        const depth = outputFileName.split('/').length - 1;
+        const linkPrefix = outputFileName === '404.html' ? new URL(this.getAbsoluteURL('')).pathname : '../'.repeat(depth);
+        componentsHTML = this.rebaseRelativeLinks(componentsHTML, linkPrefix);
+
+        // Image preloads belong in <head>, ahead of the markup that uses them
+        const preloads = [];
+        componentsHTML = componentsHTML.replace(/[ \t]*<link rel="preload" as="image"[^>]*>\n?/g, match => {
+            preloads.push(match.trim());
+            return '';
+        });
+        await this.processImageJobs();
+
+        // Render the base layout - page-level values are escaped, pre-rendered HTML is inserted raw.
+        // CSS goes in last so it can be pruned against the finished page.
+        const scripts = this.getPageScripts(pageData);
+        const lazyScripts = this.getLazyScripts(scripts);
+        const { config: runtimeConfig } = this.getRuntimeConfig();
+        this.trackInput('runtime-config');
+        const cssPlaceholder = '<!-- inline-css -->';
+        const cspPlaceholder = 'content-security-policy';
+        let html = this.renderTemplate(baseTemplate, {
+            LANGUAGE: siteConfig.language || 'en',
+            CSP: cspPlaceholder,
+            TITLE: pageData.page.title || '',
+            DESCRIPTION: pageData.page.description || '',
+            ...this.getPageMetadata(pageData, outputFileName),
+            CSRF_TOKEN: this.generateCSRFToken(),
+            BUILD_ENV: runtimeConfig.environment,
+            BUILD_VERSION: runtimeConfig.version,
+            PRELOADS: preloads.join('\n    '),
+            LAZY_SCRIPTS: await this.getLazyScriptTags(lazyScripts, linkPrefix),
+            COMPONENTS: componentsHTML,
+            INLINE_CSS: cssPlaceholder,
+            INLINE_JS: await this.inlineJS(scripts, linkPrefix)
+        }, 'base.html');
+        html = html.replace(cssPlaceholder, () => this.inlineCSS(html, [...scripts, ...lazyScripts], outputFileName));
+
+        // Minify the markup; inline CSS and JS are already minified, and quotes and </body> stay for the checks below
+        if (!this.options.debug && this.options.minify) {
+            try {
+                // minify is an ES module, so it is loaded when it is first needed
+                const { minify } = await import('minify');
+                html = await minify.html(html, {
+                    html: { minifyCSS: false, minifyJS: false, removeAttributeQuotes: false, removeOptionalTags: false }
+                });
+            } catch (error) {
+                console.warn(`Minification failed for ${outputFileName}, using unminified HTML: ${error.message}`);
+            }
         }
         
+        // Dev server pages listen for rebuilds and reload themselves
+        if (this.options.watch) {
+            html = html.replace('</body>', `${this.getLiveReloadScript()}\n</body>`);
+        }
+
+        html = await this.pipePlugins('afterPage', html, current => [current, { output: outputFileName, pageData }]);
+
+        // The policy hashes the final inline <script>/<style> blocks, so it has to be written last
+        this.assertNoInlineAttributes(html, outputFileName);
+        html = html.replace(cspPlaceholder, () => this.escapeHTML(this.buildCSP(html)));
+
         const outputPath = path.join(this.distDir, outputFileName);
-        fs.writeFileSync(outputPath, html);
+        fs.outputFileSync(outputPath, html);
         
         console.log(`✓ Built: ${outputPath}`);
     }
 
-    // Build all pages
+    // Canonical URL, Open Graph / Twitter card values and JSON-LD for the base layout.
+    // page.canonical, page.social and page.structuredData override the defaults from site-config.json.
+    getPageMetadata(pageData, outputFileName) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const page = pageData.page || {};
+        const social = { ...(siteConfig.social || {}), ...(page.social || {}) };
+        const canonicalPath = page.canonical || (outputFileName === 'index.html' ? '' : outputFileName);
+
+        const organization = {
+            '@type': 'Organization',
+            '@id': `${this.getAbsoluteURL('')}#organization`,
+            name: siteConfig.siteName,
+            url: this.getAbsoluteURL('')
+        };
+        if (siteConfig.logo) {
+            organization.logo = this.getAbsoluteURL(siteConfig.logo);
+        }
+        const profiles = (this.getComponentData('footer', pageData)?.social || []).map(link => link.url).filter(url => /^https?:\/\//.test(url));
+        if (profiles.length > 0) {
+            organization.sameAs = profiles;
+        }
+
+        const structuredData = {
+            '@context': 'https://schema.org',
+            '@graph': [organization, ...(page.structuredData || [])]
+        };
+
+        return {
+            CANONICAL_URL: this.getAbsoluteURL(canonicalPath),
+            NOINDEX: Boolean(page.noindex),
+            FEED_URL: page.feed ? this.getAbsoluteURL('feed.xml') : '',
+            SITE_NAME: siteConfig.siteName || '',
+            OG_TYPE: social.type || 'website',
+            OG_TITLE: social.title || page.title || '',
+            OG_DESCRIPTION: social.description || page.description || '',
+            OG_IMAGE: social.image ? this.getAbsoluteURL(social.image) : '',
+            TWITTER_CARD: social.card || (social.image ? 'summary_large_image' : 'summary'),
+            TWITTER_SITE: social.twitter || '',
+            STRUCTURED_DATA: `<script type="application/ld+json">${this.toJSLiteral(structuredData)}</script>`
+        };
+    }
+
+    // Absolute URL on the site for a path relative to its root (baseUrl in site-config.json)
+    getAbsoluteURL(urlPath) {
+        const { baseUrl } = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        if (!/^https?:\/\/[^/]+/.test(baseUrl || '')) {
+            throw new Error(`baseUrl in site-config.json must be an absolute http(s) URL (got ${JSON.stringify(baseUrl)})`);
+        }
+        return new URL(urlPath || '', baseUrl.replace(/\/?$/, '/')).toString();
+    }
+
+    // Content-Security-Policy for a page: hashes of its inline scripts and styles instead of 'unsafe-inline'
+    buildCSP(html) {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const hash = source => `'sha256-${crypto.createHash('sha256').update(source, 'utf8').digest('base64')}'`;
+        const unique = values => Array.from(new Set(values));
+
+        const scriptHashes = Array.from(html.matchAll(/<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/gi), match => hash(match[1]));
+        const styleHashes = Array.from(html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi), match => hash(match[1]));
+
+        const directives = {
+            'default-src': ["'self'"],
+            'script-src': ["'self'", ...scriptHashes, 'checkout.shopify.com', '*.shopify.com'],
+            'style-src': ["'self'", ...styleHashes],
+            'img-src': ["'self'", 'data:', 'cdn.shopify.com', 'mock.shop'],
+            'connect-src': ["'self'", '*.shopify.com', 'mock.shop'],
+            'frame-src': ['checkout.shopify.com'],
+            'object-src': ["'none'"],
+            'base-uri': ["'self'"],
+            'form-action': ["'self'"]
+        };
+
+        // Extra sources per directive from site-config.json, e.g. "csp": { "connect-src": ["https://shop.example.com"] }
+        Object.entries(siteConfig.csp || {}).forEach(([directive, sources]) => {
+            if (!Array.isArray(sources) || sources.some(source => typeof source !== 'string')) {
+                throw new Error(`csp.${directive} in site-config.json must be an array of sources`);
+            }
+            if (sources.includes("'unsafe-inline'")) {
+                throw new Error(`csp.${directive} in site-config.json must not allow 'unsafe-inline'`);
+            }
+            directives[directive] = [...(directives[directive] || []), ...sources];
+        });
+
+        return Object.entries(directives)
+            .map(([directive, sources]) => `${directive} ${unique(sources).join(' ')}`)
+            .join('; ');
+    }
+
+    // Inline event handlers and style attributes would be blocked by the page's CSP, so fail the build instead
+    assertNoInlineAttributes(html, outputFileName) {
+        // Blank out script and style blocks but keep their line breaks, so the reported line is the page's
+        const markup = html.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, block => block.replace(/[^\n]/g, ''));
+        const match = markup.match(/<[a-z][^>]*?\s(on[a-z]+|style)\s*=/i);
+        if (match) {
+            const line = markup.slice(0, match.index).split('\n').length;
+            throw new Error(`${outputFileName}: inline ${match[1]}= attribute near line ${line} would be blocked by the Content-Security-Policy; use a class or a data-* attribute with a delegated listener instead`);
+        }
+    }
+
+    // Prefix relative href/src values, e.g. with ../ for pages written below the dist root
+    rebaseRelativeLinks(html, prefix) {
+        if (!prefix) {
+            return html;
+        }
+
+        const isRelative = url => !/^([a-zA-Z][a-zA-Z0-9+.-]*:|\/|#)/.test(url);
+        return html
+            .replace(/(\s(?:href|src|data-image|data-search-index)=")(?![a-zA-Z][a-zA-Z0-9+.-]*:|\/|#|")/g, `$1${prefix}`)
+            .replace(/(\s(?:srcset|imagesrcset)=")([^"]*)"/g, (match, attribute, srcset) => `${attribute}${srcset
+                .split(',')
+                .map(candidate => candidate.trim())
+                .map(candidate => (isRelative(candidate) ? prefix + candidate : candidate))
+                .join(', ')}"`);
+    }
+
+    // Build all pages, skipping those whose inputs are unchanged since the last build (unless --force)
     async build() {
         console.log('🚀 Starting build process...');
         
@@ -385,20 +2793,490 @@ class PerformanceBuilder {
         const pageFiles = glob.sync(path.join(this.dataDir, 'pages', '*.json'));
         
         if (pageFiles.length === 0) {
-            console.error('No page files found in data/pages/');
-            return;
+            throw new Error('No page files found in data/pages/');
         }
 
-        // Build each page
-        for (const pageFile of pageFiles) {
-            await this.buildPage(pageFile);
+        if (!this.options.force) {
+            this.readBuildManifest();
         }
 
-        console.log(`✅ Build complete! ${pageFiles.length} pages built.`);
+        // An invalid or leaking config fails once here rather than on every page
+        this.getRuntimeConfigScript();
+        const { config } = this.getRuntimeConfig();
+        console.log(`⚙️  ${config.environment} build ${config.version} against ${config.domain}`);
+
+        // Plugins load their data up front (the shop plugin fetches the catalog) so every page can use it
+        await this.callPlugins('beforeBuild');
+
+        const { units, selected, rebuilt, failed } = await this.buildChangedPages();
+        const manifest = this.writeBuildManifest();
+        this.assertNoFailedPages(failed);
+        this.writeSiteFiles(units);
+        this.reportSizes(selected);
+        await this.callPlugins('afterBuild', manifest);
+
+        if (selected.length < units.length) {
+            console.log(`✅ Build complete! Built ${selected.map(unit => unit.output).join(', ')} (--page).`);
+        } else {
+            const count = type => units.filter(unit => unit.type === type).length;
+            console.log(`✅ Build complete! ${count('page')} pages, ${count('product')} product pages, ${count('collection')} collection pages, ${count('post')} posts and ${count('blog')} blog pages; ${rebuilt.length} rebuilt, ${units.length - rebuilt.length} unchanged.`);
+        }
         console.log(`📁 Output directory: ${this.distDir}`);
     }
+
+    // Every page is attempted before a build fails, so one broken page reports alongside the others
+    assertNoFailedPages(failed) {
+        if (failed.length > 0) {
+            throw new Error(`${failed.length} ${failed.length === 1 ? 'page' : 'pages'} failed:\n  ${failed.map(({ unit, error }) => `${unit.output}: ${error.message}`).join('\n  ')}`);
+        }
+    }
+
+    // Remove the build output and the build's own cache files; the catalog cache is kept
+    clean() {
+        [this.distDir, this.buildManifestPath, this.sizeReportPath].forEach(target => {
+            if (fs.existsSync(target)) {
+                fs.removeSync(target);
+                console.log(`🗑  Removed ${path.relative(process.cwd(), target) || target}`);
+            }
+        });
+    }
+
+    // Per-page size report as a console table and data/cache/size-report.json; fails the build when a page is over budget
+    reportSizes(units) {
+        const budgets = this.getBudgets();
+        const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+        const pages = units.map(unit => this.measurePage(unit.output));
+
+        const violations = pages.flatMap(page => {
+            const limits = this.getPageBudgets(budgets, page.page);
+            return Object.entries(limits)
+                .filter(([metric, limit]) => page[metric] > limit)
+                .map(([metric, limit]) => {
+                    const format = metric.endsWith('Bytes') ? kb : value => value;
+                    return `${page.page}: ${metric} is ${format(page[metric])}, over the budget of ${format(limit)}`;
+                });
+        });
+
+        console.table(Object.fromEntries(pages.map(page => [page.page, {
+            HTML: kb(page.htmlBytes),
+            Gzip: kb(page.gzipBytes),
+            Brotli: kb(page.brotliBytes),
+            'Inline CSS': kb(page.inlineCSSBytes),
+            'Inline JS': kb(page.inlineJSBytes),
+            Images: page.images,
+            Preloads: page.preloads
+        }])));
+
+        fs.outputJsonSync(this.sizeReportPath, {
+            builtAt: new Date().toISOString(),
+            budgets,
+            pages,
+            violations
+        }, { spaces: 2 });
+
+        if (violations.length > 0) {
+            throw new Error(`${violations.length} performance ${violations.length === 1 ? 'budget' : 'budgets'} exceeded (see ${path.relative(__dirname, this.sizeReportPath)}):\n  ${violations.join('\n  ')}`);
+        }
+    }
+
+    // Sizes and counts for one built page
+    measurePage(output) {
+        const html = fs.readFileSync(path.join(this.distDir, output));
+        const text = html.toString('utf8');
+        const blockBytes = pattern => Array.from(text.matchAll(pattern), match => Buffer.byteLength(match[1])).reduce((sum, bytes) => sum + bytes, 0);
+
+        return {
+            page: output,
+            htmlBytes: html.length,
+            gzipBytes: zlib.gzipSync(html, { level: 9 }).length,
+            brotliBytes: zlib.brotliCompressSync(html).length,
+            inlineCSSBytes: blockBytes(/<style[^>]*>([\s\S]*?)<\/style>/gi),
+            // JSON-LD isn't executed, so it counts as page weight but not as script
+            inlineJSBytes: blockBytes(/<script(?![^>]*\ssrc=)(?![^>]*application\/ld\+json)[^>]*>([\s\S]*?)<\/script>/gi),
+            images: (text.match(/<img\b/gi) || []).length,
+            preloads: (text.match(/<link\b[^>]*\brel="preload"/gi) || []).length
+        };
+    }
+
+    // Budgets from site-config.json: limits for every page, plus "pages" overrides keyed by output path (* is a wildcard)
+    getBudgets() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const budgets = siteConfig.budgets || {};
+        const metrics = ['htmlBytes', 'gzipBytes', 'brotliBytes', 'inlineCSSBytes', 'inlineJSBytes', 'images', 'preloads'];
+
+        const check = (limits, where) => Object.entries(limits).forEach(([metric, limit]) => {
+            if (!metrics.includes(metric)) {
+                throw new Error(`Unknown budget "${metric}" in ${where} in site-config.json (available: ${metrics.join(', ')})`);
+            }
+            if (typeof limit !== 'number' || limit < 0) {
+                throw new Error(`Budget ${where}.${metric} in site-config.json must be a number, 0 or more (got ${JSON.stringify(limit)})`);
+            }
+        });
+
+        const { pages = {}, ...defaults } = budgets;
+        check(defaults, 'budgets');
+        Object.entries(pages).forEach(([pattern, limits]) => check(limits, `budgets.pages["${pattern}"]`));
+
+        return { ...defaults, pages };
+    }
+
+    // Limits for one page - every matching "pages" entry overrides the defaults, in order
+    getPageBudgets(budgets, output) {
+        const { pages, ...limits } = budgets;
+        Object.entries(pages).forEach(([pattern, overrides]) => {
+            const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            if (regex.test(output)) {
+                Object.assign(limits, overrides);
+            }
+        });
+        return limits;
+    }
+
+    // sitemap.xml, robots.txt and the blog's feed.xml for the pages just built
+    writeSiteFiles(units) {
+        const pages = units.filter(unit => !unit.noindex);
+        const entries = pages.map(unit => [
+            '  <url>',
+            `    <loc>${this.escapeHTML(this.getAbsoluteURL(unit.output === 'index.html' ? '' : unit.output))}</loc>`,
+            `    <lastmod>${this.getLastModified(unit.output).toISOString()}</lastmod>`,
+            '  </url>'
+        ].join('\n'));
+
+        fs.outputFileSync(path.join(this.distDir, 'sitemap.xml'), [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...entries,
+            '</urlset>',
+            ''
+        ].join('\n'));
+        fs.outputFileSync(path.join(this.distDir, 'robots.txt'), this.getRobotsTxt());
+
+        const posts = this.getPosts();
+        if (posts.length > 0) {
+            fs.outputFileSync(path.join(this.distDir, 'feed.xml'), this.getFeedXML(posts));
+        } else {
+            fs.removeSync(path.join(this.distDir, 'feed.xml'));
+        }
+
+        console.log(`🗺  Wrote sitemap.xml (${pages.length} URLs), robots.txt${posts.length > 0 ? ' and feed.xml' : ''}`);
+    }
+
+    // Newest modification time of the source files a page was built from
+    getLastModified(output) {
+        const times = Object.keys(this.dependencies.get(output) || {})
+            .map(key => (key.startsWith('catalog') ? this.catalogSource : path.join(__dirname, key)))
+            .filter(filePath => filePath && fs.existsSync(filePath))
+            .map(filePath => fs.statSync(filePath).mtimeMs);
+
+        return times.length > 0 ? new Date(Math.max(...times)) : new Date();
+    }
+
+    // robots.txt from robots in site-config.json - by default everything may be crawled
+    getRobotsTxt() {
+        const siteConfig = this.readJSONData(path.join(this.dataDir, 'site-config.json'));
+        const robots = { rules: [{ userAgent: '*', disallow: [] }], sitemap: true, ...(siteConfig.robots || {}) };
+
+        if (!Array.isArray(robots.rules) || robots.rules.length === 0) {
+            throw new Error('robots.rules in site-config.json must be a non-empty array');
+        }
+
+        const groups = robots.rules.map((rule, index) => {
+            if (!rule || typeof rule.userAgent !== 'string' || !rule.userAgent) {
+                throw new Error(`robots.rules[${index}] in site-config.json needs a userAgent`);
+            }
+            ['allow', 'disallow'].forEach(key => {
+                if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+                    throw new Error(`robots.rules[${index}].${key} in site-config.json must be an array of paths`);
+                }
+            });
+
+            const disallow = rule.disallow || [];
+            return [
+                `User-agent: ${rule.userAgent}`,
+                ...(rule.allow || []).map(rulePath => `Allow: ${rulePath}`),
+                // An empty Disallow means nothing is off limits
+                ...(disallow.length > 0 ? disallow.map(rulePath => `Disallow: ${rulePath}`) : ['Disallow:'])
+            ].join('\n');
+        });
+
+        if (robots.sitemap) {
+            groups.push(`Sitemap: ${this.getAbsoluteURL('sitemap.xml')}`);
+        }
+
+        return `${groups.join('\n\n')}\n`;
+    }
+
+    // Build once, then serve dist and rebuild the affected pages whenever a source file changes
+    async watch(port = 3000) {
+        await this.build();
+
+        const watchPaths = [
+            this.templatesDir,
+            path.join(this.srcDir, 'styles'),
+            path.join(this.srcDir, 'scripts'),
+            this.configDir,
+            path.join(this.dataDir, 'pages'),
+            this.componentsDataDir,
+            this.postsDir,
+            path.join(this.dataDir, 'site-config.json'),
+            this.taxonomyPath,
+            ...this.watchFiles
+        ].filter(watchPath => fs.existsSync(watchPath));
+
+        const changed = new Set();
+        let timer = null;
+        let building = Promise.resolve();
+
+        const onChange = filePath => {
+            changed.add(path.resolve(filePath));
+            clearTimeout(timer);
+            // Editors often write a file several times per save, so wait for things to settle
+            timer = setTimeout(() => {
+                const files = Array.from(changed);
+                changed.clear();
+                building = building.then(() => this.rebuildChanged(files));
+            }, 100);
+        };
+
+        watchPaths.forEach(watchPath => {
+            const isDirectory = fs.statSync(watchPath).isDirectory();
+            fs.watch(watchPath, { recursive: isDirectory }, (eventType, fileName) => {
+                onChange(isDirectory && fileName ? path.join(watchPath, fileName.toString()) : watchPath);
+            });
+        });
+
+        this.serve(port);
+        console.log(`👀 Watching ${watchPaths.map(watchPath => path.relative(__dirname, watchPath)).join(', ')}`);
+    }
+
+    // Rebuild the pages whose inputs changed on disk
+    async rebuildChanged(files) {
+        console.log(`🔁 ${files.map(file => path.relative(__dirname, file)).join(', ')} changed`);
+
+        if (files.includes(path.resolve(this.taxonomyPath))) {
+            this.taxonomy = null;
+        }
+        this.templateCache.clear();
+
+        try {
+            await this.callPlugins('beforeBuild');
+            const { units, rebuilt, failed } = await this.buildChangedPages();
+            const manifest = this.writeBuildManifest();
+            this.assertNoFailedPages(failed);
+            this.writeSiteFiles(units);
+            this.reportSizes(units);
+            await this.callPlugins('afterBuild', manifest);
+            if (rebuilt.length > 0) {
+                this.notifyLiveReload();
+            }
+        } catch (error) {
+            // Keep watching - the next save will probably fix it
+            console.error('❌ Rebuild failed:', error.message);
+        }
+    }
+
+    // Serve dist over HTTP, with a server-sent events channel that tells pages to reload
+    serve(port = 3000) {
+        const contentTypes = {
+            '.html': 'text/html; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.js': 'text/javascript; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.xml': 'application/xml; charset=utf-8',
+            '.txt': 'text/plain; charset=utf-8',
+            '.svg': 'image/svg+xml',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.webp': 'image/webp',
+            '.avif': 'image/avif',
+            '.ico': 'image/x-icon'
+        };
+
+        const server = http.createServer((req, res) => {
+            let urlPath;
+            try {
+                urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            } catch (error) {
+                // A malformed escape such as /%E0%A4%A is the request's fault - don't let it take the server down
+                res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Bad request');
+                return;
+            }
+
+            if (urlPath === '/__livereload') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    Connection: 'keep-alive'
+                });
+                res.write(': connected\n\n');
+                this.liveReloadClients.add(res);
+                req.on('close', () => this.liveReloadClients.delete(res));
+                return;
+            }
+
+            let filePath = path.join(this.distDir, urlPath);
+            if (path.relative(this.distDir, filePath).startsWith('..')) {
+                res.writeHead(403);
+                res.end('Forbidden');
+                return;
+            }
+
+            if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+                filePath = path.join(filePath, 'index.html');
+            } else if (!fs.existsSync(filePath) && fs.existsSync(`${filePath}.html`)) {
+                filePath = `${filePath}.html`;
+            }
+
+            if (!fs.existsSync(filePath)) {
+                const notFoundPage = path.join(this.distDir, '404.html');
+                if (fs.existsSync(notFoundPage)) {
+                    res.writeHead(404, { 'Content-Type': contentTypes['.html'], 'Cache-Control': 'no-store' });
+                    fs.createReadStream(notFoundPage).pipe(res);
+                    return;
+                }
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream',
+                'Cache-Control': 'no-store'
+            });
+            fs.createReadStream(filePath).pipe(res);
+        });
+
+        server.listen(port, () => {
+            console.log(`🌐 Dev server running at http://localhost:${port}`);
+        });
+
+        return server;
+    }
+
+    // Tell every open page to reload
+    notifyLiveReload() {
+        this.liveReloadClients.forEach(res => res.write('data: reload\n\n'));
+    }
+
+    // Client snippet injected into pages built in watch mode
+    getLiveReloadScript() {
+        return `<script>new EventSource('/__livereload').onmessage = () => location.reload();</script>`;
+    }
+}
+
+// Command-line flags to builder options. Throws with exitCode 2 on a usage error.
+function parseArgs(argv) {
+    const commands = ['build', 'dev', 'clean', 'help'];
+    const environments = ['production', 'staging'];
+    const usageError = message => Object.assign(new Error(message), { exitCode: 2 });
+    const args = [...argv];
+    const command = args[0] && !args[0].startsWith('-') ? args.shift() : 'build';
+    const options = { pages: [] };
+
+    if (!commands.includes(command)) {
+        throw usageError(`Unknown command "${command}" (available: ${commands.join(', ')})`);
+    }
+
+    const value = flag => {
+        const next = args.shift();
+        if (next === undefined || next.startsWith('--')) {
+            throw usageError(`${flag} needs a value`);
+        }
+        return next;
+    };
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        const [flag, inline] = arg.split(/=(.*)/s);
+        if (inline !== undefined) {
+            args.unshift(inline);
+        }
+
+        switch (flag) {
+            case '--offline':
+            case '--force':
+            case '--debug':
+                options[flag.slice(2)] = true;
+                break;
+            case '--watch':
+                options.watch = true;
+                break;
+            case '--no-minify':
+                options.minify = false;
+                break;
+            case '--page':
+                options.pages.push(value(flag));
+                break;
+            case '--out':
+                options.outDir = value(flag);
+                break;
+            case '--env':
+                options.env = value(flag);
+                if (!environments.includes(options.env)) {
+                    throw usageError(`--env must be one of ${environments.join(', ')} (got ${options.env})`);
+                }
+                break;
+            case '--port':
+                options.port = Number(value(flag));
+                if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+                    throw usageError(`--port must be a port number (got ${arg})`);
+                }
+                break;
+            case '--help':
+            case '-h':
+                return { command: 'help', options };
+            default:
+                throw usageError(`Unknown option ${arg}`);
+        }
+    }
+
+    return { command: command === 'build' && options.watch ? 'dev' : command, options };
+}
+
+const usage = `Usage: node build.js [command] [options]
+
+Commands:
+  build              Build the site (default)
+  dev                Build, serve dist on http://localhost:3000 and rebuild on changes (same as --watch)
+  clean              Remove the output directory, the build manifest and the size report
+
+Options:
+  --page <name>      Only build this page: a data/pages name (shop) or an output path (products/slides.html); repeatable
+  --out <dir>        Output directory (default: dist)
+  --env <name>       Environment to build for: production (default) or staging
+  --offline          Use the catalog snapshot instead of fetching
+  --force            Rebuild every page and ignore the catalog cache age
+  --no-minify        Keep HTML, CSS and JS readable (console.log/warn are still removed)
+  --debug            Keep everything readable, including console logging
+  --port <number>    Port for dev (default: 3000)
+  -h, --help         Show this help
+
+Exit codes: 0 on success, 1 when the build or any page fails, 2 on a usage error.`;
+
+// Run the CLI when build.js is executed directly; require('./build') only exports the builder
+if (require.main === module) {
+    let parsed;
+    try {
+        parsed = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${usage}`);
+        process.exit(error.exitCode || 2);
+    }
+
+    const { command, options } = parsed;
+    const builder = new PerformanceBuilder({ ...options, watch: command === 'dev' });
+    const run = {
+        help: async () => console.log(usage),
+        clean: async () => builder.clean(),
+        build: () => builder.build(),
+        dev: () => builder.watch(options.port || 3000)
+    }[command];
+
+    run().catch(error => {
+        console.error('❌ Build failed:', error.message);
+        process.exitCode = 1;
+    });
 }
 
-// Run the build
-const builder = new PerformanceBuilder();
-builder.build().catch(console.error);
+module.exports = { PerformanceBuilder, parseArgs };
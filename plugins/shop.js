@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Built-in shop plugin: loads the product catalog at build time from its source (mock.shop by default, see
+// plugins/sources), fills in the shop component, adds a page per product and per category and writes the search index.
+module.exports = function shopPlugin(builder) {
+    // Catalog written after every live fetch, and the checked-in snapshot for offline builds
+    const cachePath = path.join(builder.dataDir, 'cache', 'catalog.json');
+    const fixturePath = path.join(builder.dataDir, 'fixtures', 'catalog.json');
+    const relative = filePath => path.relative(path.dirname(builder.dataDir), filePath);
+
+    // Catalog paging settings from site-config.json
+    const getCatalogConfig = () => {
+        const siteConfig = builder.readJSONData(path.join(builder.dataDir, 'site-config.json'));
+        const config = { pageSize: 20, maxProducts: 250, maxAge: 0, ...(siteConfig.catalog || {}) };
+
+        if (config.source !== undefined && (!config.source || typeof config.source !== 'object' || Array.isArray(config.source))) {
+            throw new Error('catalog.source in site-config.json must be an object, e.g. { "type": "csv", "path": "data/products.csv" }');
+        }
+        if (!Number.isInteger(config.pageSize) || config.pageSize < 1 || config.pageSize > 250) {
+            throw new Error(`catalog.pageSize in site-config.json must be an integer from 1 to 250 (got ${config.pageSize})`);
+        }
+        if (!Number.isInteger(config.maxProducts) || config.maxProducts < 1) {
+            throw new Error(`catalog.maxProducts in site-config.json must be a positive integer (got ${config.maxProducts})`);
+        }
+        if (typeof config.maxAge !== 'number' || config.maxAge < 0) {
+            throw new Error(`catalog.maxAge in site-config.json must be a number of minutes, 0 or more (got ${config.maxAge})`);
+        }
+
+        return config;
+    };
+
+    // Short hash identifying which query a cached catalog was fetched with
+    const hashQuery = query => crypto.createHash('sha256').update(query).digest('hex').slice(0, 12);
+
+    // Where products come from: catalog.source in site-config.json, mock.shop by default. type is a built-in source
+    // (plugins/sources/<type>.js) or a path to a module exporting the same kind of factory.
+    const getSource = (config) => {
+        const options = config.source || { type: 'storefront' };
+        const type = options.type || 'storefront';
+        const builtIn = path.join(__dirname, 'sources', `${type}.js`);
+        const modulePath = /^[a-z]+$/.test(type) && fs.existsSync(builtIn) ? builtIn : null;
+        if (!modulePath && !type.startsWith('.')) {
+            throw new Error(`Unknown catalog.source.type "${type}" in site-config.json (available: storefront, json, csv, or a ./path to a module)`);
+        }
+
+        return require(modulePath || path.resolve(path.dirname(builder.dataDir), type))(builder, options);
+    };
+
+    // Read the catalog cache, ignoring caches written for a different query
+    const readCatalogCache = (queryHash) => {
+        if (!fs.existsSync(cachePath)) {
+            return null;
+        }
+
+        let cache;
+        try {
+            cache = builder.readJSONData(cachePath);
+        } catch (error) {
+            console.warn(`⚠️  Ignoring catalog cache: ${error.message}`);
+            return null;
+        }
+        if (!Array.isArray(cache.products)) {
+            return null;
+        }
+
+        if (cache.queryHash !== queryHash) {
+            console.warn(`⚠️  Ignoring catalog cache: it was fetched with a different query (${cache.queryHash} != ${queryHash})`);
+            return null;
+        }
+
+        return cache;
+    };
+
+    // Write the catalog cache after a successful fetch
+    const writeCatalogCache = (products, queryHash) => {
+        fs.outputJsonSync(cachePath, {
+            fetchedAt: new Date().toISOString(),
+            queryHash,
+            products
+        }, { spaces: 2 });
+    };
+
+    // Load the product catalog. Local sources are read as they are; remote ones are fetched, then cached, then fail,
+    // and --offline uses the fixture snapshot. Resolves to the products, the file they now live in and whether that is
+    // a local source.
+    const loadCatalog = async () => {
+        const config = getCatalogConfig();
+        const source = getSource(config);
+
+        if (!source.remote) {
+            const products = (await source.load(config)).slice(0, config.maxProducts);
+            console.log(`📦 Loaded ${products.length} products from ${relative(source.file)}`);
+            return { products, source: source.file, local: true };
+        }
+
+        const queryHash = hashQuery(`${source.cacheKey} max:${config.maxProducts}`);
+
+        if (builder.options.offline) {
+            if (fs.existsSync(fixturePath)) {
+                const fixture = builder.readJSONData(fixturePath);
+                if (!Array.isArray(fixture.products)) {
+                    throw new Error(`${relative(fixturePath)} is not a valid catalog snapshot`);
+                }
+                const products = fixture.products.slice(0, config.maxProducts);
+                console.log(`📦 Offline build: using catalog snapshot ${relative(fixturePath)} (${products.length} products)`);
+                return { products, source: fixturePath };
+            }
+
+            const cached = readCatalogCache(queryHash);
+            if (cached) {
+                console.warn(`⚠️  Offline build: no catalog snapshot, using cached catalog from ${cached.fetchedAt}`);
+                return { products: cached.products, source: cachePath };
+            }
+
+            throw new Error(`Offline build needs ${relative(fixturePath)} or a catalog cache`);
+        }
+
+        // A recent enough cache saves refetching the catalog on every build
+        if (config.maxAge > 0 && !builder.options.force) {
+            const cached = readCatalogCache(queryHash);
+            const ageMinutes = cached ? (Date.now() - Date.parse(cached.fetchedAt)) / 6e4 : Infinity;
+            if (ageMinutes < config.maxAge) {
+                console.log(`📦 Using catalog cache from ${cached.fetchedAt} (${Math.round(ageMinutes)}m old, catalog.maxAge is ${config.maxAge}m)`);
+                return { products: cached.products, source: cachePath };
+            }
+        }
+
+        try {
+            console.log('Fetching shop data...');
+            const products = await source.load(config);
+            console.log(`Fetched ${products.length} products`);
+            writeCatalogCache(products, queryHash);
+            return { products, source: cachePath };
+        } catch (error) {
+            console.error('Failed to fetch shop data:', error.message);
+
+            const cached = readCatalogCache(queryHash);
+            if (cached) {
+                const ageHours = Math.round((Date.now() - Date.parse(cached.fetchedAt)) / 36e5);
+                console.warn(`⚠️  Falling back to stale catalog cache from ${cached.fetchedAt} (${ageHours}h old, ${cached.products.length} products)`);
+                return { products: cached.products, source: cachePath };
+            }
+
+            throw new Error(`No catalog data available: live fetch failed (${error.message}) and there is no usable cache at ${relative(cachePath)}`);
+        }
+    };
+
+    // A local source file the catalog was read from, and its modification time then
+    let localSource = null;
+    const getModifiedTime = file => (fs.existsSync(file) ? fs.statSync(file).mtimeMs : null);
+
+    return {
+        name: 'shop',
+
+        // Load the catalog once; rebuilds in watch mode reuse it unless it came from a local file that has changed since
+        async beforeBuild() {
+            if (builder.catalog && (!localSource || getModifiedTime(localSource.file) === localSource.modifiedTime)) {
+                return;
+            }
+
+            const { products, source, local } = await loadCatalog();
+            builder.setCatalog(products, source);
+            localSource = local ? { file: source, modifiedTime: getModifiedTime(source) } : null;
+            if (local) {
+                builder.watchFiles.add(source);
+            }
+        },
+
+        // One page per catalog product and one per category with products
+        pages() {
+            return [
+                ...builder.catalog.map(({ node }) => ({
+                    type: 'product',
+                    output: `products/${builder.getProductHandle(node)}.html`,
+                    build: () => builder.buildProductPage(node)
+                })),
+                ...builder.getCollections(builder.catalog).map(collection => ({
+                    type: 'collection',
+                    output: `collections/${collection.category.slug}.html`,
+                    build: () => builder.buildCollectionPage(collection)
+                }))
+            ];
+        },
+
+        // Pages with the shop component list every product, with a schema.org Product for each
+        loadData(pageData) {
+            if (!(pageData.page?.components || []).includes('shop')) {
+                return undefined;
+            }
+
+            builder.trackInput('catalog');
+            const products = builder.catalog;
+            const { productsHTML, categoryOptions, productsCount } = builder.generateProductHTML(products);
+
+            return {
+                ...pageData,
+                page: {
+                    ...pageData.page,
+                    structuredData: [
+                        ...(pageData.page.structuredData || []),
+                        ...products.map(({ node }) => builder.getProductSchema(node))
+                    ]
+                },
+                shop: {
+                    ...pageData.shop,
+                    products,
+                    products_html: productsHTML,
+                    categories: categoryOptions,
+                    products_count: productsCount
+                }
+            };
+        },
+
+        // Static index for the shop page's search box, fetched by the browser on the first search
+        afterBuild() {
+            const index = JSON.stringify(builder.getSearchIndex(builder.catalog));
+            fs.outputFileSync(path.join(builder.distDir, 'search-index.json'), index);
+            console.log(`🔎 Wrote search-index.json (${builder.catalog.length} products, ${(Buffer.byteLength(index) / 1024).toFixed(1)} KB)`);
+        }
+    };
+};
@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeProduct } = require('./products');
+
+// Products from a CSV export with a header row. title and price are required; handle, currency, image, category,
+// variants, description, tags and images are optional. Lists (variants, tags, images) are separated with |,
+// and a variant may carry its own price: "Small|Medium|Large=75.00".
+module.exports = function csvSource(builder, options) {
+    if (typeof options.path !== 'string' || !options.path) {
+        throw new Error('catalog.source.path in site-config.json must name the CSV file');
+    }
+
+    const file = path.resolve(path.dirname(builder.dataDir), options.path);
+    const columns = ['title', 'handle', 'price', 'currency', 'image', 'category', 'variants', 'description', 'tags', 'images'];
+
+    return {
+        name: 'csv',
+        remote: false,
+        file,
+
+        async load() {
+            if (!fs.existsSync(file)) {
+                throw new Error(`Cannot read ${options.path}: no such file`);
+            }
+
+            const [header, ...rows] = parseCSV(fs.readFileSync(file, 'utf8'), options.path);
+            if (!header) {
+                throw new Error(`${options.path} is empty`);
+            }
+
+            const names = header.cells.map(cell => cell.trim().toLowerCase());
+            const unknown = names.filter(name => !columns.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`${options.path}:${header.line}: unknown column "${unknown[0]}" (available: ${columns.join(', ')})`);
+            }
+            ['title', 'price'].forEach(required => {
+                if (!names.includes(required)) {
+                    throw new Error(`${options.path}:${header.line}: missing the "${required}" column`);
+                }
+            });
+
+            return rows
+                .filter(row => row.cells.some(cell => cell.trim()))
+                .map(row => {
+                    const where = `${options.path}:${row.line}`;
+                    if (row.cells.length !== names.length) {
+                        throw new Error(`${where}: expected ${names.length} columns, found ${row.cells.length}`);
+                    }
+
+                    const record = Object.fromEntries(names.map((name, index) => [name, row.cells[index]]));
+                    record.variants = String(record.variants || '').split('|').map(variant => variant.trim()).filter(Boolean).map(variant => {
+                        const [title, price] = variant.split('=');
+                        return price === undefined ? { title } : { title: title.trim(), price: price.trim() };
+                    });
+
+                    return normalizeProduct(builder, record, where);
+                });
+        }
+    };
+};
+
+// RFC 4180 fields: quoted fields may contain commas, newlines and "" for a quote. Each row keeps the line it starts on.
+function parseCSV(text, label) {
+    const source = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let line = 1;
+    let rowLine = 1;
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            endRow();
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error(`${label}:${rowLine}: unterminated quoted field`);
+    }
+    if (cell !== '' || cells.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
@@ -0,0 +1,34 @@
+const path = require('path');
+const { normalizeProduct } = require('./products');
+
+// Products from a local JSON file: an array, or { "products": [...] }. Entries are flat product records
+// (see products.js) or Storefront-shaped { "node": {...} } edges, such as a copy of data/fixtures/catalog.json.
+module.exports = function jsonSource(builder, options) {
+    if (typeof options.path !== 'string' || !options.path) {
+        throw new Error('catalog.source.path in site-config.json must name the JSON file');
+    }
+
+    const file = path.resolve(path.dirname(builder.dataDir), options.path);
+
+    return {
+        name: 'json',
+        remote: false,
+        file,
+
+        async load() {
+            const data = builder.readJSONData(file);
+            const records = Array.isArray(data) ? data : data.products;
+            if (!Array.isArray(records)) {
+                throw new Error(`${options.path} must be an array of products or have a "products" array`);
+            }
+
+            return records.map((record, index) => {
+                if (record && record.node) {
+                    return record;
+                }
+                const line = builder.getJSONLine(file, Array.isArray(data) ? [index] : ['products', index]);
+                return normalizeProduct(builder, record, line ? `${options.path}:${line}` : `${options.path} products[${index}]`);
+            });
+        }
+    };
+};
@@ -0,0 +1,80 @@
+// Shared by the json and csv sources: turn a flat product record into the Storefront shape the builder renders,
+// { node: { id, handle, title, productType, tags, description, featuredImage, images, variants } }.
+//
+// A record has a title and a price, and optionally handle, id, description, currency, image, images, category
+// (becomes the productType), tags and variants. Variants are titles, { title, price, options } objects, or
+// omitted for a single "Default Title" variant. where locates the record in error messages.
+function normalizeProduct(builder, record, where) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`${where}: a product must be an object`);
+    }
+
+    const title = typeof record.title === 'string' ? record.title.trim() : '';
+    if (!title) {
+        throw new Error(`${where}: product needs a title`);
+    }
+
+    const handle = record.handle ? String(record.handle).trim() : builder.slugify(title);
+    const id = record.id ? String(record.id) : `local:${handle}`;
+    const currency = record.currency ? String(record.currency).trim().toUpperCase() : 'USD';
+    const price = normalizePrice(record.price, `${where}: price of "${title}"`);
+
+    const list = value => (Array.isArray(value) ? value : String(value || '').split('|'))
+        .map(entry => (typeof entry === 'string' ? entry.trim() : entry))
+        .filter(Boolean);
+
+    const imageURLs = list(record.images);
+    if (record.image && !imageURLs.includes(record.image)) {
+        imageURLs.unshift(String(record.image).trim());
+    }
+    const images = imageURLs.map(url => ({ url, altText: title }));
+
+    const variantRecords = list(record.variants);
+    const variants = (variantRecords.length > 0 ? variantRecords : ['Default Title']).map((variant, index) => {
+        const entry = typeof variant === 'string' ? { title: variant } : variant;
+        if (!entry || typeof entry.title !== 'string' || !entry.title.trim()) {
+            throw new Error(`${where}: variant ${index + 1} of "${title}" needs a title`);
+        }
+
+        const options = entry.options && typeof entry.options === 'object'
+            ? Object.entries(entry.options).map(([name, value]) => ({ name, value: String(value) }))
+            : [{ name: 'Title', value: entry.title.trim() }];
+
+        return {
+            node: {
+                id: entry.id ? String(entry.id) : `${id}/${builder.slugify(entry.title) || index + 1}`,
+                title: entry.title.trim(),
+                selectedOptions: options,
+                price: {
+                    amount: entry.price === undefined || entry.price === '' ? price : normalizePrice(entry.price, `${where}: price of "${title}" variant "${entry.title}"`),
+                    currencyCode: currency
+                }
+            }
+        };
+    });
+
+    return {
+        node: {
+            id,
+            handle,
+            title,
+            productType: record.category ? String(record.category).trim() : '',
+            tags: list(record.tags).map(String),
+            description: record.description ? String(record.description) : '',
+            featuredImage: images[0] ? { id: `${id}/image`, ...images[0] } : null,
+            images: { edges: images.map(image => ({ node: image })) },
+            variants: { edges: variants }
+        }
+    };
+}
+
+// Prices are kept as the decimal strings the Storefront API returns
+function normalizePrice(value, label) {
+    const amount = typeof value === 'number' ? value : Number(String(value ?? '').trim().replace(/^\$/, ''));
+    if (value === undefined || value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+        throw new Error(`${label} must be a number, 0 or more (got ${JSON.stringify(value ?? null)})`);
+    }
+    return amount.toFixed(2);
+}
+
+module.exports = { normalizeProduct };
@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+// Products from a Storefront GraphQL API - mock.shop unless an endpoint is configured. A custom query file must
+// declare $first: Int! and $after: String and select products(first: $first, after: $after) with pageInfo
+// { hasNextPage endCursor } and edges { node { ... } } in the shape of the default query below.
+module.exports = function storefrontSource(builder, options) {
+    const endpoint = options.endpoint || 'https://mock.shop/api';
+    if (!/^https?:\/\//.test(endpoint)) {
+        throw new Error(`catalog.source.endpoint in site-config.json must be an http(s) URL (got ${endpoint})`);
+    }
+
+    // Seconds to wait on a silent connection before giving up, so a hung endpoint falls back to the cache
+    const timeout = options.timeout === undefined ? 30 : options.timeout;
+    if (typeof timeout !== 'number' || !(timeout > 0)) {
+        throw new Error(`catalog.source.timeout in site-config.json must be a positive number of seconds (got ${timeout})`);
+    }
+
+    const queryPath = options.queryFile && path.resolve(path.dirname(builder.dataDir), options.queryFile);
+    if (queryPath && !fs.existsSync(queryPath)) {
+        throw new Error(`Cannot read ${options.queryFile} (catalog.source.queryFile in site-config.json)`);
+    }
+    const query = queryPath
+        ? fs.readFileSync(queryPath, 'utf8')
+        : 'query Products($first: Int!, $after: String) { products(first: $first, after: $after) { pageInfo { hasNextPage endCursor } edges { node { id handle title productType tags description featuredImage { id url altText } images(first: 10) { edges { node { url altText } } } variants(first: 20) { edges { node { id title selectedOptions { name value } price { amount currencyCode } } } } } } } }';
+
+    // POST one page of the query. The token can come from the environment so it stays out of site-config.json.
+    const request = variables => new Promise((resolve, reject) => {
+        if (options.tokenEnv && !process.env[options.tokenEnv]) {
+            reject(new Error(`catalog.source.tokenEnv names ${options.tokenEnv}, but it is not set`));
+            return;
+        }
+
+        const token = options.tokenEnv ? process.env[options.tokenEnv] : options.token;
+        const body = JSON.stringify({ query, variables });
+        const headers = {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...(token && { 'X-Shopify-Storefront-Access-Token': token })
+        };
+
+        const req = (endpoint.startsWith('https:') ? https : http).request(endpoint, { method: 'POST', headers, timeout: timeout * 1000 }, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`${endpoint} responded with ${res.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    console.error('Error parsing shop data:', error.message);
+                    reject(error);
+                }
+            });
+        });
+        req.on('timeout', () => {
+            req.destroy(new Error(`${endpoint} did not respond within ${timeout}s`));
+        });
+        req.on('error', (error) => {
+            console.error('Error fetching shop data:', error.message);
+            reject(error);
+        });
+        req.end(body);
+    });
+
+    return {
+        name: 'storefront',
+        remote: true,
+        // Caches fetched from another endpoint or with another query are not reused
+        cacheKey: `${endpoint} ${query}`,
+
+        // Follow pageInfo.endCursor until the catalog is exhausted or maxProducts is reached
+        async load({ pageSize, maxProducts }) {
+            const products = [];
+            let cursor = null;
+            let page = 0;
+
+            do {
+                const shopData = await request({ first: Math.min(pageSize, maxProducts - products.length), after: cursor });
+                if (!shopData.data || !shopData.data.products) {
+                    throw new Error(shopData.errors?.[0]?.message || 'Response did not include products');
+                }
+
+                const { edges, pageInfo } = shopData.data.products;
+                products.push(...edges);
+                page++;
+                console.log(`Fetched page ${page}: ${edges.length} products`);
+
+                cursor = pageInfo && pageInfo.hasNextPage ? pageInfo.endCursor : null;
+            } while (cursor && products.length < maxProducts);
+
+            if (cursor) {
+                console.warn(`⚠️  Catalog has more products than catalog.maxProducts (${maxProducts}); the rest were skipped`);
+            }
+
+            return products;
+        }
+    };
+};
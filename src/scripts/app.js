@@ -43,6 +43,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Shop filtering functionality
     initializeShopFilters();
     
+    // Product detail page: variant picker, gallery and add to cart
+    initializeProductDetail();
+    
     // Smooth scroll for anchor links
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function(e) {
@@ -88,6 +91,8 @@ document.addEventListener('DOMContentLoaded', function() {
 function initializeShopFilters() {
     const categoryFilter = document.getElementById('category-filter');
     const priceFilter = document.getElementById('price-filter');
+    // The search box needs search.js, which pages with the shop component get
+    const searchInput = typeof searchProducts === 'function' ? document.getElementById('product-search') : null;
     const productsGrid = document.getElementById('productsGrid');
     const paginationInfo = document.querySelector('.pagination-info');
     
@@ -95,13 +100,79 @@ function initializeShopFilters() {
         return; // Not on shop page
     }
     
-    // Store all products for filtering
+    // Store all products for filtering, in catalog order
     const allProducts = Array.from(productsGrid.querySelectorAll('.product-card'));
+    const getProductId = product => product.querySelector('[data-product-id]')?.dataset.productId;
+    
+    // Search results by product id while there is a query, null otherwise
+    let searchResults = null;
+    let searchIndex = null;
+    let searchTimer = null;
     
     // Filter change handlers
     categoryFilter.addEventListener('change', filterProducts);
     priceFilter.addEventListener('change', filterProducts);
     
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, 120);
+        });
+        searchInput.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                runSearch();
+            }
+        });
+    }
+    
+    // The static index written at build time (search-index.json). Without it - opened from disk, or the fetch
+    // failed - the cards on the page are indexed instead, so search still works with no server.
+    function loadSearchIndex() {
+        if (!searchIndex) {
+            const fromCards = () => allProducts.map(product => ({
+                id: getProductId(product),
+                title: product.querySelector('.product-title')?.textContent.trim() || '',
+                description: product.querySelector('.product-description')?.textContent || '',
+                category: product.dataset.category || '',
+                price: parseFloat(product.dataset.price),
+                tokens: []
+            }));
+            
+            searchIndex = Promise.resolve()
+                .then(() => fetch(searchInput.dataset.searchIndex))
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(index => index.products)
+                .catch(error => {
+                    console.warn('Search index unavailable, searching the page instead:', error.message);
+                    return fromCards();
+                })
+                .then(products => products.map(prepareSearchEntry));
+        }
+        return searchIndex;
+    }
+    
+    async function runSearch() {
+        const query = searchInput.value;
+        
+        if (tokenizeSearchText(query).length === 0) {
+            searchResults = null;
+        } else {
+            const entries = await loadSearchIndex();
+            if (searchInput.value !== query) {
+                return; // A newer search is on its way
+            }
+            searchResults = searchProducts(entries, query);
+        }
+        
+        filterProducts();
+    }
+    
     function filterProducts() {
         const selectedCategory = categoryFilter.value;
         const selectedPrice = priceFilter.value;
@@ -114,6 +185,11 @@ function initializeShopFilters() {
             
             let shouldShow = true;
             
+            // Search
+            if (searchResults && !searchResults.has(getProductId(product))) {
+                shouldShow = false;
+            }
+            
             // Category filter
             if (selectedCategory && productCategory !== selectedCategory) {
                 shouldShow = false;
@@ -152,8 +228,19 @@ function initializeShopFilters() {
             } else {
                 product.style.display = 'none';
             }
+            
+            highlightSearchTerms(product.querySelector('.product-link'), searchResults?.get(getProductId(product))?.matched);
         });
         
+        // Best matches first while searching, catalog order otherwise
+        const ordered = searchResults
+            ? allProducts
+                .map((product, index) => ({ product, index, score: searchResults.get(getProductId(product))?.score || 0 }))
+                .sort((a, b) => b.score - a.score || a.index - b.index)
+                .map(entry => entry.product)
+            : allProducts;
+        ordered.forEach(product => productsGrid.appendChild(product));
+        
         // Update product count
         updateProductCount(visibleCount);
         
@@ -193,9 +280,10 @@ function initializeShopFilters() {
                     <div class="no-results-content">
                         <h3>No products found</h3>
                         <p>Try adjusting your filters or browse all categories.</p>
-                        <button class="clear-filters-btn" onclick="clearAllFilters()">Clear All Filters</button>
+                        <button class="clear-filters-btn">Clear All Filters</button>
                     </div>
                 `;
+                noResultsMsg.querySelector('.clear-filters-btn').addEventListener('click', () => window.clearAllFilters());
                 productsGrid.parentNode.insertBefore(noResultsMsg, productsGrid.nextSibling);
             }
             noResultsMsg.style.display = 'block';
@@ -208,6 +296,10 @@ function initializeShopFilters() {
     window.clearAllFilters = function() {
         categoryFilter.value = '';
         priceFilter.value = '';
+        if (searchInput) {
+            searchInput.value = '';
+        }
+        searchResults = null;
         filterProducts();
         
         // Scroll to top of products
@@ -216,6 +308,121 @@ function initializeShopFilters() {
     
     // Initialize product count
     updateProductCount(allProducts.length);
+    
+    // Run a search linked as shop.html?q=hoodie
+    const linkedQuery = new URLSearchParams(window.location.search).get('q');
+    if (searchInput && linkedQuery) {
+        searchInput.value = linkedQuery;
+        runSearch();
+    }
+}
+
+// Mark the matched part of each title word (the whole word, or the typed prefix) without touching the HTML
+function highlightSearchTerms(link, matched) {
+    if (!link) {
+        return;
+    }
+    if (link.dataset.title === undefined) {
+        link.dataset.title = link.textContent;
+    }
+    
+    const title = link.dataset.title;
+    link.textContent = '';
+    let last = 0;
+    for (const word of title.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const length = matched?.get(tokenizeSearchText(word[0])[0]);
+        if (!length) {
+            continue;
+        }
+        link.append(title.slice(last, word.index));
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = word[0].slice(0, length);
+        link.append(mark);
+        last = word.index + mark.textContent.length;
+    }
+    link.append(title.slice(last));
+}
+
+// Product detail page functionality
+function initializeProductDetail() {
+    const detail = document.querySelector('.product-detail-info');
+    const addButton = document.getElementById('productAddToCart');
+    
+    if (!detail || !addButton) {
+        return; // Not on a product page
+    }
+    
+    const variantSelect = document.getElementById('variant-select');
+    const priceElement = document.getElementById('productPrice');
+    
+    function parseOptions(json) {
+        try {
+            return JSON.parse(json || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    function getSelectedVariant() {
+        if (variantSelect) {
+            const option = variantSelect.options[variantSelect.selectedIndex];
+            return {
+                id: option.value,
+                title: option.dataset.title,
+                price: option.dataset.price,
+                selectedOptions: parseOptions(option.dataset.options)
+            };
+        }
+        
+        return {
+            id: addButton.dataset.variantId,
+            title: addButton.dataset.variantTitle,
+            price: addButton.dataset.price,
+            selectedOptions: parseOptions(addButton.dataset.options)
+        };
+    }
+    
+    // Show the selected variant's price
+    if (variantSelect && priceElement) {
+        variantSelect.addEventListener('change', () => {
+            priceElement.textContent = getSelectedVariant().price;
+        });
+    }
+    
+    // Swap the main image when a thumbnail is clicked
+    const mainImage = document.querySelector('.product-gallery-main img');
+    document.querySelectorAll('.gallery-thumb').forEach(thumb => {
+        thumb.addEventListener('click', () => {
+            if (!mainImage) return;
+            
+            const picture = mainImage.closest('picture');
+            if (picture) {
+                picture.querySelectorAll('source').forEach(source => source.remove());
+            }
+            mainImage.removeAttribute('srcset');
+            mainImage.src = thumb.dataset.image;
+            
+            document.querySelectorAll('.gallery-thumb').forEach(other => other.classList.remove('active'));
+            thumb.classList.add('active');
+        });
+    });
+    
+    // Add the selected variant to the cart
+    addButton.addEventListener('click', () => {
+        const variant = getSelectedVariant();
+        
+        addToCart({
+            id: detail.dataset.productId,
+            variantId: variant.id,
+            variantTitle: variant.title,
+            selectedOptions: variant.selectedOptions,
+            title: detail.dataset.productTitle,
+            price: parseFloat(variant.price),
+            image: detail.dataset.productImage,
+            quantity: 1
+        });
+    });
 }
 
 // Mock.Shop cart handles add to cart functionality
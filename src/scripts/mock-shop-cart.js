@@ -3,6 +3,7 @@ class MockShopCart {
     constructor() {
         this.localCart = [];
         this.loadCartFromStorage();
+        this.initializeActionHandlers();
         
         // Wait for DOM to be ready before initializing cart dropdown
         if (document.readyState === 'loading') {
@@ -35,6 +36,48 @@ class MockShopCart {
         this.updateCartUI();
     }
     
+    // Delegated click handling for [data-cart-action] elements, so pages need no inline onclick handlers
+    initializeActionHandlers() {
+        document.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-cart-action]');
+            if (!target) return;
+            
+            const { cartAction, lineId, quantity } = target.dataset;
+            switch (cartAction) {
+                case 'toggle':
+                    toggleCartDropdown();
+                    break;
+                case 'checkout':
+                    this.proceedToCheckout();
+                    break;
+                case 'add':
+                    this.addToCart(this.getProductFromElement(target));
+                    break;
+                case 'quantity':
+                    this.updateQuantity(lineId, parseInt(quantity, 10));
+                    break;
+                case 'remove':
+                    this.removeItem(lineId);
+                    break;
+            }
+        });
+    }
+    
+    // Product data from an add-to-cart button's data attributes
+    getProductFromElement(element) {
+        const data = element.dataset;
+        
+        return {
+            id: data.productId,
+            variantId: data.variantId,
+            variantTitle: data.variantTitle,
+            title: data.title,
+            price: parseFloat(data.price),
+            image: data.image,
+            quantity: 1
+        };
+    }
+    
     // Create cart dropdown HTML
     createCartDropdown() {
         const cartIcon = document.querySelector('.cart-icon');
@@ -61,26 +104,17 @@ class MockShopCart {
             display: none;
         `;
         
+        // No style attributes here - the page's Content-Security-Policy blocks them
         cartDropdown.innerHTML = `
-            <div class="cart-header" style="padding: 1rem; border-bottom: 1px solid #e5e7eb;">
-                <h3 style="margin: 0; font-size: 1.1rem;">Shopping Cart</h3>
+            <div class="cart-header">
+                <h3>Shopping Cart</h3>
             </div>
-            <div id="cartItems" class="cart-items" style="padding: 1rem;">
+            <div id="cartItems" class="cart-items">
                 <div class="empty-cart">Your cart is empty</div>
             </div>
-            <div id="cartTotal" class="cart-total" style="padding: 1rem; border-top: 1px solid #e5e7eb; display: none;">
-                <div class="total-amount" style="font-weight: bold; font-size: 1.1rem;"></div>
-                <button onclick="cart.proceedToCheckout()" class="checkout-btn" style="
-                    width: 100%; 
-                    background: #10b981; 
-                    color: white; 
-                    border: none; 
-                    padding: 0.75rem; 
-                    border-radius: 6px; 
-                    font-weight: 600; 
-                    margin-top: 0.5rem;
-                    cursor: pointer;
-                ">Proceed to Checkout</button>
+            <div id="cartTotal" class="cart-total" hidden>
+                <div class="total-amount"></div>
+                <button data-cart-action="checkout" class="checkout-btn">Proceed to Checkout</button>
             </div>
         `;
         
@@ -102,8 +136,8 @@ class MockShopCart {
                 throw new Error('Invalid product data');
             }
             
-            // Check if item already exists
-            const existingIndex = this.localCart.findIndex(item => item.id === validatedItem.id);
+            // Check if this variant is already in the cart (each variant is its own line)
+            const existingIndex = this.localCart.findIndex(item => this.getLineId(item) === validatedItem.lineId);
             
             if (existingIndex >= 0) {
                 // Update quantity of existing item
@@ -136,6 +170,15 @@ class MockShopCart {
         console.log('🚀 Starting performance checkout - staying on site!');
         console.log('📦 Transferring cart data:', this.localCart);
         
+        // Pages without a shop component don't ship the checkout; fetch it the first time someone checks out
+        if (!window.checkout) {
+            try {
+                await this.loadCheckout();
+            } catch (error) {
+                console.error('❌ Error loading checkout:', error);
+            }
+        }
+        
         // Check if performance checkout is available
         if (window.checkout && typeof window.checkout.proceedToCheckout === 'function') {
             // Transfer cart data to performance checkout using the new method
@@ -157,6 +200,22 @@ class MockShopCart {
         }
     }
     
+    // Load the checkout script from the URL the build left in <meta name="lazy-script" data-name="checkout">
+    loadCheckout() {
+        const meta = document.querySelector('meta[name="lazy-script"][data-name="checkout"]');
+        if (!meta) {
+            return Promise.resolve();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = meta.content;
+            script.addEventListener('load', resolve);
+            script.addEventListener('error', () => reject(new Error(`Could not load ${meta.content}`)));
+            document.body.appendChild(script);
+        });
+    }
+    
     // Validate cart item (same as your current validation)
     validateCartItem(item) {
         if (!item || typeof item !== 'object') return null;
@@ -169,8 +228,17 @@ class MockShopCart {
             item.quantity = 1; // Default to 1
         }
         
+        const variantId = typeof item.variantId === 'string' && item.variantId ? item.variantId : null;
+        const selectedOptions = Array.isArray(item.selectedOptions)
+            ? item.selectedOptions.filter(option => option && typeof option.name === 'string' && typeof option.value === 'string')
+            : [];
+        
         return {
             id: item.id,
+            lineId: variantId || item.id,
+            variantId: variantId,
+            variantTitle: typeof item.variantTitle === 'string' ? item.variantTitle.trim() : '',
+            selectedOptions: selectedOptions.map(option => ({ name: option.name, value: option.value })),
             title: item.title.trim(),
             price: item.price,
             quantity: item.quantity,
@@ -178,10 +246,25 @@ class MockShopCart {
         };
     }
     
+    // Cart lines are keyed by variant; carts saved before variants existed fall back to the product id
+    getLineId(item) {
+        return item.lineId || item.variantId || item.id;
+    }
+    
+    // "Size: M" style label for a cart line, empty for single-variant products
+    getVariantLabel(item) {
+        const options = (item.selectedOptions || []).filter(option => option.value !== 'Default Title');
+        if (options.length > 0) {
+            return options.map(option => `${option.name}: ${option.value}`).join(', ');
+        }
+        
+        return item.variantTitle && item.variantTitle !== 'Default Title' ? item.variantTitle : '';
+    }
+    
     // Update cart quantities
-    updateQuantity(itemId, newQuantity) {
+    updateQuantity(lineId, newQuantity) {
         try {
-            const itemIndex = this.localCart.findIndex(item => item.id === itemId);
+            const itemIndex = this.localCart.findIndex(item => this.getLineId(item) === lineId);
             
             if (itemIndex >= 0) {
                 if (newQuantity <= 0) {
@@ -203,9 +286,9 @@ class MockShopCart {
     }
     
     // Remove item from cart
-    removeItem(itemId) {
+    removeItem(lineId) {
         try {
-            this.localCart = this.localCart.filter(item => item.id !== itemId);
+            this.localCart = this.localCart.filter(item => this.getLineId(item) !== lineId);
             this.saveCartToStorage();
             this.updateCartUI();
             this.showNotification('Item removed from cart');
@@ -270,55 +353,7 @@ class MockShopCart {
             cartItems.innerHTML = '<div class="empty-cart">Your cart is empty</div>';
             if (cartTotal) cartTotal.style.display = 'none';
         } else {
-            const itemsHTML = this.localCart.map(item => `
-                <div class="cart-item" style="
-                    display: flex; 
-                    align-items: center; 
-                    padding: 0.5rem 0; 
-                    border-bottom: 1px solid #f3f4f6;
-                ">
-                    <div class="item-info" style="flex: 1;">
-                        <div class="item-name" style="font-weight: 600; margin-bottom: 0.25rem;">${item.title}</div>
-                        <div class="item-price" style="color: #6b7280;">$${item.price.toFixed(2)}</div>
-                    </div>
-                    <div class="quantity-controls" style="
-                        display: flex; 
-                        align-items: center; 
-                        gap: 0.5rem; 
-                        margin: 0 1rem;
-                    ">
-                        <button class="qty-btn" onclick="cart.updateQuantity('${item.id}', ${item.quantity - 1})" style="
-                            background: #f3f4f6; 
-                            border: none; 
-                            width: 24px; 
-                            height: 24px; 
-                            border-radius: 4px; 
-                            cursor: pointer;
-                        ">-</button>
-                        <span class="quantity" style="min-width: 20px; text-align: center;">${item.quantity}</span>
-                        <button class="qty-btn" onclick="cart.updateQuantity('${item.id}', ${item.quantity + 1})" style="
-                            background: #f3f4f6; 
-                            border: none; 
-                            width: 24px; 
-                            height: 24px; 
-                            border-radius: 4px; 
-                            cursor: pointer;
-                        ">+</button>
-                    </div>
-                    <button class="remove-item" onclick="cart.removeItem('${item.id}')" style="
-                        background: #ef4444; 
-                        color: white; 
-                        border: none; 
-                        width: 24px; 
-                        height: 24px; 
-                        border-radius: 4px; 
-                        cursor: pointer; 
-                        font-size: 1.2rem;
-                    ">×</button>
-                </div>
-            `).join('');
-            
-            cartItems.innerHTML = itemsHTML;
+            cartItems.replaceChildren(...this.localCart.map(item => this.createCartItemElement(item)));
             
             if (cartTotal) {
                 cartTotal.style.display = 'block';
@@ -330,6 +365,45 @@ class MockShopCart {
         }
     }
     
+    // Cart lines come from data attributes and localStorage, so every value goes in as text or an attribute, never markup
+    createCartItemElement(item) {
+        const lineId = this.getLineId(item);
+        const variantLabel = this.getVariantLabel(item);
+        
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+        const actionButton = (className, action, text, quantity) => {
+            const button = element('button', className, text);
+            button.dataset.cartAction = action;
+            button.dataset.lineId = lineId;
+            if (quantity !== undefined) button.dataset.quantity = quantity;
+            return button;
+        };
+        
+        const info = element('div', 'item-info');
+        info.append(element('div', 'item-name', item.title));
+        if (variantLabel) info.append(element('div', 'item-variant', variantLabel));
+        info.append(element('div', 'item-price', `$${item.price.toFixed(2)}`));
+        
+        const controls = element('div', 'quantity-controls');
+        controls.append(
+            actionButton('qty-btn', 'quantity', '-', item.quantity - 1),
+            element('span', 'quantity', item.quantity),
+            actionButton('qty-btn', 'quantity', '+', item.quantity + 1)
+        );
+        
+        const remove = actionButton('remove-item', 'remove', '×');
+        remove.setAttribute('aria-label', 'Remove item');
+        
+        const row = element('div', 'cart-item');
+        row.append(info, controls, remove);
+        return row;
+    }
+    
     showNotification(message, type = 'success') {
         try {
             const notification = document.createElement('div');
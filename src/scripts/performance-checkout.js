@@ -13,6 +13,25 @@ if (window.checkout) {
             this.checkoutStep = 'cart'; // cart → info → payment → confirmation
             this.customerInfo = {};
             this.loadCartFromStorage();
+            this.initializeActionHandlers();
+        }
+        
+        // Delegated click handling for [data-checkout-action] buttons - registered once, the modal is rebuilt on every checkout
+        initializeActionHandlers() {
+            const actions = {
+                close: () => this.closeCustomCheckout(),
+                next: () => this.nextStep(),
+                back: () => this.previousStep(),
+                complete: () => this.completeOrder(),
+                continue: () => this.continueShopping()
+            };
+            
+            document.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-checkout-action]');
+                if (target && actions[target.dataset.checkoutAction]) {
+                    actions[target.dataset.checkoutAction]();
+                }
+            });
         }
         
         // Proceed to checkout
@@ -76,9 +95,9 @@ if (window.checkout) {
             console.log('🎯 Cart items container found:', !!cartItemsContainer);
             
             if (cartItemsContainer) {
-                const renderedHTML = this.renderCartItems();
-                console.log('🎨 Rendered HTML:', renderedHTML);
-                cartItemsContainer.innerHTML = renderedHTML;
+                const rows = this.renderCartItems();
+                console.log('🎨 Rendered rows:', rows.length);
+                cartItemsContainer.replaceChildren(...rows);
             } else {
                 console.warn('❌ Cart items container not found!');
             }
@@ -116,7 +135,7 @@ if (window.checkout) {
                     <div class="checkout-container">
                         <div class="checkout-header">
                             <h2>Secure Checkout</h2>
-                            <button class="close-checkout" onclick="checkout.closeCustomCheckout()">×</button>
+                            <button class="close-checkout" data-checkout-action="close">×</button>
                         </div>
                         
                         <!-- Progress indicator -->
@@ -150,13 +169,13 @@ if (window.checkout) {
                                 <div class="tax">Tax: $0.00</div>
                                 <div class="total">Total: $0.00</div>
                             </div>
-                            <button class="checkout-next-btn" onclick="checkout.nextStep()">
+                            <button class="checkout-next-btn" data-checkout-action="next">
                                 Continue to Information
                             </button>
                         </div>
                         
                         <!-- Customer Information Step -->
-                        <div class="checkout-step" data-step="info" style="display: none;">
+                        <div class="checkout-step" data-step="info" hidden>
                             <h3>Shipping Information</h3>
                             <form class="checkout-form" id="customerInfoForm">
                                 <div class="form-row">
@@ -184,17 +203,17 @@ if (window.checkout) {
                                 </div>
                             </form>
                             <div class="checkout-buttons">
-                                <button class="checkout-back-btn" onclick="checkout.previousStep()">
+                                <button class="checkout-back-btn" data-checkout-action="back">
                                     Back to Cart
                                 </button>
-                                <button class="checkout-next-btn" onclick="checkout.nextStep()">
+                                <button class="checkout-next-btn" data-checkout-action="next">
                                     Continue to Payment
                                 </button>
                             </div>
                         </div>
                         
                         <!-- Payment Step -->
-                        <div class="checkout-step" data-step="payment" style="display: none;">
+                        <div class="checkout-step" data-step="payment" hidden>
                             <h3>Payment Information</h3>
                             <div class="payment-methods">
                                 <label class="payment-method">
@@ -241,17 +260,17 @@ if (window.checkout) {
                             </div>
                             
                             <div class="checkout-buttons">
-                                <button class="checkout-back-btn" onclick="checkout.previousStep()">
+                                <button class="checkout-back-btn" data-checkout-action="back">
                                     Back to Information
                                 </button>
-                                <button class="checkout-complete-btn" onclick="checkout.completeOrder()">
+                                <button class="checkout-complete-btn" data-checkout-action="complete">
                                     Complete Order
                                 </button>
                             </div>
                         </div>
                         
                         <!-- Confirmation Step -->
-                        <div class="checkout-step" data-step="confirmation" style="display: none;">
+                        <div class="checkout-step" data-step="confirmation" hidden>
                             <div class="order-confirmation">
                                 <div class="confirmation-icon">✅</div>
                                 <h3>Order Confirmed!</h3>
@@ -259,7 +278,7 @@ if (window.checkout) {
                                 <div class="order-details" id="orderDetails">
                                     <!-- Order details will be populated here -->
                                 </div>
-                                <button class="continue-shopping-btn" onclick="checkout.continueShopping()">
+                                <button class="continue-shopping-btn" data-checkout-action="continue">
                                     Continue Shopping
                                 </button>
                             </div>
@@ -425,17 +444,42 @@ if (window.checkout) {
         }
         
         // Utility methods
+        // Built as nodes so titles, image URLs and line ids from localStorage are never parsed as markup
         renderCartItems() {
-            return this.localCart.map(item => `
-                <div class="checkout-cart-item">
-                    <img src="${item.image}" alt="${item.title}" class="item-image">
-                    <div class="item-details">
-                        <div class="item-name">${item.title}</div>
-                        <div class="item-price">$${item.price.toFixed(2)} × ${item.quantity}</div>
-                    </div>
-                    <div class="item-total">$${(item.price * item.quantity).toFixed(2)}</div>
-                </div>
-            `).join('');
+            const element = (tag, className, text) => {
+                const node = document.createElement(tag);
+                node.className = className;
+                if (text !== undefined) node.textContent = text;
+                return node;
+            };
+            
+            return this.localCart.map(item => {
+                const row = element('div', 'checkout-cart-item');
+                row.dataset.lineId = item.lineId || item.variantId || item.id;
+                
+                const image = element('img', 'item-image');
+                image.setAttribute('src', item.image || '');
+                image.setAttribute('alt', item.title);
+                
+                const details = element('div', 'item-details');
+                details.append(element('div', 'item-name', item.title));
+                const variantLabel = this.getVariantLabel(item);
+                if (variantLabel) details.append(element('div', 'item-variant', variantLabel));
+                details.append(element('div', 'item-price', `$${item.price.toFixed(2)} × ${item.quantity}`));
+                
+                row.append(image, details, element('div', 'item-total', `$${(item.price * item.quantity).toFixed(2)}`));
+                return row;
+            });
+        }
+        
+        // Selected options for a cart line, e.g. "Size: M"
+        getVariantLabel(item) {
+            const options = (item.selectedOptions || []).filter(option => option.value !== 'Default Title');
+            if (options.length > 0) {
+                return options.map(option => `${option.name}: ${option.value}`).join(', ');
+            }
+            
+            return item.variantTitle && item.variantTitle !== 'Default Title' ? item.variantTitle : '';
         }
         
         getItemCount() {
@@ -0,0 +1,126 @@
+// Product search shared by the shop page and the build: the build indexes products with the same tokenizer the
+// browser splits queries with, so a word left out of the index is left out of queries too.
+
+// Common English words that don't narrow a search; with single letters, they are neither indexed nor matched
+const SEARCH_STOP_WORDS = ['and', 'the', 'for', 'with', 'our', 'your', 'you', 'this', 'that', 'are', 'from', 'its', 'of', 'to', 'in', 'on', 'is', 'it', 'an', 'or', 'by', 'at'];
+
+// Lowercase words without accents, skipping stop words and single letters (single digits stay: size 2)
+function tokenizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => (token.length > 1 || /\d/.test(token)) && !SEARCH_STOP_WORDS.includes(token));
+}
+
+// Edits (insertions, deletions, substitutions and swapped neighbours) between two words, giving up past max
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+            }
+        }
+        if (Math.min(...nextRow) > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+// How well a query term matches a word: 3 exact, 2 prefix, 1 within one typo (two for terms of 8+ letters), 0 none
+function matchSearchTerm(term, token) {
+    if (token === term) {
+        return 3;
+    }
+    if (token.startsWith(term)) {
+        return 2;
+    }
+
+    // A term still being typed is compared with the start of the word too (hodi -> hoodie)
+    const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    for (let length = term.length - allowed; allowed > 0 && length <= term.length + allowed; length++) {
+        const candidate = length < token.length ? token.slice(0, length) : token;
+        if (getEditDistance(term, candidate, allowed) <= allowed) {
+            return 1;
+        }
+    }
+    return 0;
+}
+
+// Add the title and category words to a search-index.json entry, and make sure its tokens cover them
+function prepareSearchEntry(entry) {
+    return {
+        ...entry,
+        titleTokens: tokenizeSearchText(entry.title),
+        categoryTokens: tokenizeSearchText(entry.category),
+        tokens: Array.from(new Set([...(entry.tokens || []), ...tokenizeSearchText(`${entry.title} ${entry.category} ${entry.description}`)]))
+    };
+}
+
+// Score a prepared entry against the query: every term has to match somewhere, title matches count most, and a
+// title containing the whole query ranks first. Returns the score and the title words to highlight, or null.
+function scoreSearchEntry(entry, terms, query) {
+    const fields = [[entry.titleTokens, 3], [entry.categoryTokens, 2], [entry.tokens, 1]];
+    const matched = new Map();
+    let score = 0;
+
+    for (const term of terms) {
+        let best = 0;
+        fields.forEach(([tokens, weight]) => {
+            tokens.forEach(token => {
+                const quality = matchSearchTerm(term, token);
+                if (quality > 0) {
+                    best = Math.max(best, quality * weight);
+                    if (weight === 3) {
+                        matched.set(token, Math.max(matched.get(token) || 0, quality === 2 ? term.length : token.length));
+                    }
+                }
+            });
+        });
+        if (best === 0) {
+            return null;
+        }
+        score += best;
+    }
+
+    if (entry.titleTokens.join(' ').includes(tokenizeSearchText(query).join(' '))) {
+        score += 5;
+    }
+    return { score, matched };
+}
+
+// Search prepared entries: the score and matched title words of each hit by product id, or null when the query has
+// nothing to search for (empty, or only stop words)
+function searchProducts(entries, query) {
+    const terms = tokenizeSearchText(query);
+    if (terms.length === 0) {
+        return null;
+    }
+
+    const results = new Map();
+    entries.forEach(entry => {
+        const result = scoreSearchEntry(entry, terms, query);
+        if (result) {
+            results.set(entry.id, result);
+        }
+    });
+    return results;
+}
+
+// The build reads the tokenizer from here too
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SEARCH_STOP_WORDS, tokenizeSearchText, prepareSearchEntry, scoreSearchEntry, searchProducts };
+}
@@ -0,0 +1,1068 @@
+/**
+ * Build Script Tests
+ * Tests the command-line parsing and the PerformanceBuilder helpers, rendering single pages into a temporary directory
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PerformanceBuilder, parseArgs } = require('../build');
+
+describe('Command Line', () => {
+  test('should build by default', () => {
+    expect(parseArgs([])).toEqual({ command: 'build', options: { pages: [] } });
+    expect(parseArgs(['--offline']).options.offline).toBe(true);
+  });
+
+  test('should parse subcommands and flags', () => {
+    const { command, options } = parseArgs(['build', '--page', 'shop', '--page=products/slides.html', '--out', 'public', '--env', 'staging', '--no-minify']);
+
+    expect(command).toBe('build');
+    expect(options).toEqual({
+      pages: ['shop', 'products/slides.html'],
+      outDir: 'public',
+      env: 'staging',
+      minify: false
+    });
+    expect(parseArgs(['clean']).command).toBe('clean');
+  });
+
+  test('should treat --watch as the dev command', () => {
+    expect(parseArgs(['--watch', '--port', '8080'])).toEqual({ command: 'dev', options: { pages: [], watch: true, port: 8080 } });
+  });
+
+  test('should reject usage errors with exit code 2', () => {
+    const usageErrors = [['deploy'], ['--env', 'development'], ['--out'], ['--port', 'abc'], ['--verbose']];
+
+    usageErrors.forEach(argv => {
+      expect(() => parseArgs(argv)).toThrow(expect.objectContaining({ exitCode: 2 }));
+    });
+  });
+});
+
+describe('PerformanceBuilder', () => {
+  let builder;
+  let outDir;
+
+  beforeEach(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'performance-builder-'));
+    builder = new PerformanceBuilder({ outDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  test('should default to a minified production build', () => {
+    expect(builder.options).toEqual(expect.objectContaining({ env: 'production', minify: true, pages: [] }));
+    expect(builder.distDir).toBe(outDir);
+  });
+
+  test('should escape template values unless they use triple braces', () => {
+    const html = builder.renderTemplate('<p>{{text}}</p>{{{html}}}', { text: '<b>"hi"</b>', html: '<i>ok</i>' });
+
+    expect(html).toBe('<p>&lt;b&gt;&quot;hi&quot;&lt;/b&gt;</p><i>ok</i>');
+  });
+
+  test('should escape attribute values and JS strings for their context', () => {
+    const data = { title: '"Tom\'s" <b>', text: 'it\'s </script>', options: { max: '<' } };
+
+    expect(builder.renderTemplate('<a title="{{title}}" data-title=\'{{title}}\'>', data))
+      .toBe('<a title="&quot;Tom&#39;s&quot; &lt;b&gt;" data-title=\'&quot;Tom&#39;s&quot; &lt;b&gt;\'>');
+    expect(builder.renderTemplate('<button onclick="go(\'{{text}}\', {{options}})">', data))
+      .toBe('<button onclick="go(\'it\\&#39;s \\u003C/script\\u003E\', {&quot;max&quot;:&quot;\\u003C&quot;})">');
+    expect(builder.renderTemplate('<script>var text = "{{text}}"; var options = {{options}};</script>', data))
+      .toBe('<script>var text = "it\\\'s \\u003C/script\\u003E"; var options = {"max":"\\u003C"};</script>');
+  });
+
+  test('should reject javascript: and data: URLs in href and src', () => {
+    expect(builder.renderTemplate('<a href="{{url}}">', { url: 'https://example.com/?q="x"' })).toBe('<a href="https://example.com/?q=&quot;x&quot;">');
+    expect(() => builder.renderTemplate('<a href="{{url}}">', { url: 'javascript:alert(1)' }, 'card.html'))
+      .toThrow('Unsafe URL "javascript:alert(1)" for {{url}} in card.html at line 1');
+    expect(() => builder.renderTemplate('<img src="{{url}}">', { url: ' DATA:text/html,x' }, 'card.html')).toThrow('Unsafe URL');
+  });
+
+  test('should refuse placeholders in contexts it cannot escape', () => {
+    expect(() => builder.renderTemplate('<a href={{url}}>', { url: 'a.html' }, 'card.html'))
+      .toThrow('Cannot safely substitute {{url}} in card.html at line 1: unsupported context (unquoted href attribute)');
+    expect(() => builder.renderTemplate('<p style="color: {{color}}">', { color: 'red' })).toThrow('unsupported context (style attribute)');
+    expect(() => builder.renderTemplate('<!-- {{note}} -->', { note: 'x' })).toThrow('unsupported context (HTML comment)');
+    expect(builder.renderTemplate('<p style="color: {{{color}}}">', { color: 'red' })).toBe('<p style="color: red">');
+  });
+
+  test('should render loops and conditionals', () => {
+    const template = '{{#each items}}{{#if @first}}[{{/if}}{{this}}{{#unless @last}},{{else}}]{{/unless}}{{/each}}';
+
+    expect(builder.renderTemplate(template, { items: ['a', 'b', 'c'] })).toBe('[a,b,c]');
+  });
+
+  test('should resolve dotted paths, parent contexts and legacy flat placeholders', () => {
+    const data = { brand: { text: 'Site', url: '/' }, nav: [{ text: 'Home' }] };
+
+    expect(builder.renderTemplate('{{brand.text}} {{#each nav}}{{text}}@{{../brand.url}}{{/each}}', data)).toBe('Site Home@/');
+    expect(builder.renderTemplate('{{BRAND_TEXT}}', data)).toBe('Site');
+    expect(builder.renderTemplate('{{#each brand}}{{@key}}={{this}};{{/each}}', data)).toBe('text=Site;url=/;');
+  });
+
+  test('should fail on unresolved legacy placeholders', () => {
+    expect(() => builder.renderTemplate('<h1>{{PAGE_TITLE}}</h1>', {}, 'hero.html')).toThrow('Unresolved placeholder {{PAGE_TITLE}} in hero.html');
+  });
+
+  test('should fail on misspelled and dotted placeholders but render null as empty', () => {
+    const data = { title: 'Hi', brand: { url: '/' }, note: null };
+
+    expect(() => builder.renderTemplate('<h1>{{titel}}</h1>', data, 'hero.html')).toThrow('Unresolved placeholder {{titel}} in hero.html at line 1');
+    expect(() => builder.renderTemplate('<p>\n<a href="{{brand.ulr}}">x</a>', data, 'header.html')).toThrow('Unresolved placeholder {{brand.ulr}} in header.html at line 2');
+    expect(() => builder.renderTemplate('{{{html}}}', data)).toThrow('Unresolved placeholder {{{html}}}');
+    expect(builder.renderTemplate('<p>{{title}}{{note}}{{#if subtitle}}{{subtitle}}{{/if}}</p>', data)).toBe('<p>Hi</p>');
+  });
+
+  test('should include partials with the context they are given', () => {
+    builder.templatesDir = outDir;
+    fs.mkdirSync(path.join(outDir, 'components'));
+    fs.writeFileSync(path.join(outDir, 'components', 'link.html'), '<a href="{{url}}">{{text}}</a>');
+
+    expect(builder.renderTemplate('{{#each links}}{{> link}}{{/each}}|{{> link home}}', {
+      links: [{ url: 'a.html', text: 'A' }],
+      home: { url: 'index.html', text: 'Home' }
+    })).toBe('<a href="a.html">A</a>|<a href="index.html">Home</a>');
+    expect(() => builder.renderTemplate('{{> missing}}', {})).toThrow('Partial {{> missing}} not found at line 1');
+  });
+
+  test('should report unbalanced blocks with their line', () => {
+    expect(() => builder.renderTemplate('<ul>\n{{#each items}}\n<li>', {}, 'list.html')).toThrow('Unclosed {{#each}} in list.html at line 2');
+    expect(() => builder.renderTemplate('{{#if a}}\n{{/each}}', {}, 'list.html')).toThrow('Unexpected {{/each}} in list.html at line 2 (expected {{/if}})');
+    expect(() => builder.renderTemplate('{{#with a}}{{/with}}', {}, 'list.html')).toThrow('Unknown block helper {{#with}} in list.html at line 1');
+  });
+
+  test('should merge shared component data with page overrides', () => {
+    const shared = { logo: 'Site', nav: [{ text: 'Home' }], social: { twitter: 'a' } };
+
+    expect(builder.mergeComponentData(shared, { nav: [], social: { github: 'b' } })).toEqual({
+      logo: 'Site',
+      nav: [],
+      social: { twitter: 'a', github: 'b' }
+    });
+    expect(builder.mergeComponentData(shared, null)).toBeNull();
+  });
+
+
+  test('should mark the header link of the current page, counting product pages as the shop', () => {
+    const header = { nav: [{ url: 'about.html' }, { url: './shop.html?sort=price' }] };
+    const active = outputFileName => builder.markActiveNavLinks(header, outputFileName).nav.map(item => item.active);
+
+    expect(active('about.html')).toEqual([true, false]);
+    expect(active('products/zip-hoodie.html')).toEqual([false, true]);
+    expect(active('index.html')).toEqual([false, false]);
+  });
+
+  test('should only give pages the scripts their components need', () => {
+    const names = scripts => scripts.map(script => script.name);
+    const about = builder.getPageScripts({ page: { components: ['header', 'content', 'footer'] } });
+    const shop = builder.getPageScripts({ page: { components: ['header', 'shop', 'footer'] } });
+
+    expect(names(about)).toEqual(['security', 'shopify-config', 'cart', 'app']);
+    expect(names(builder.getLazyScripts(about))).toEqual(['checkout']);
+    expect(names(shop)).toEqual(['security', 'shopify-config', 'shopify-client', 'checkout', 'cart', 'search', 'app']);
+    expect(builder.getLazyScripts(shop)).toEqual([]);
+    expect(names(builder.getPageScripts({ page: { components: ['content'], scripts: ['checkout'] } }))).toEqual(['shopify-config', 'checkout']);
+    expect(() => builder.getPageScripts({ page: { components: [], scripts: ['jquery'] } })).toThrow('Unknown script "jquery"');
+  });
+
+  test('should select pages by name or output path', () => {
+    const units = [
+      { output: 'index.html' },
+      { output: 'shop.html' },
+      { output: 'products/slides.html' }
+    ];
+
+    builder.options.pages = ['home', 'products/slides.html', 'shop', 'shop'];
+    expect(builder.selectBuildUnits(units).map(unit => unit.output)).toEqual(['index.html', 'products/slides.html', 'shop.html']);
+
+    builder.options.pages = ['missing'];
+    expect(() => builder.selectBuildUnits(units)).toThrow('No page "missing" to build');
+    builder.options.pages = ['products/missing.html'];
+    expect(() => builder.selectBuildUnits(units)).toThrow('No page "products/missing.html" to build');
+  });
+
+  test('should report every failed page together', () => {
+    const failed = [
+      { unit: { output: 'about.html' }, error: new Error('bad data') },
+      { unit: { output: 'shop.html' }, error: new Error('no catalog') }
+    ];
+
+    expect(() => builder.assertNoFailedPages([])).not.toThrow();
+    expect(() => builder.assertNoFailedPages(failed)).toThrow('2 pages failed:\n  about.html: bad data\n  shop.html: no catalog');
+  });
+
+  test('should layer the runtime config and keep private values out of it', () => {
+    builder.configDir = outDir;
+    builder.options.env = 'staging';
+    fs.writeFileSync(path.join(outDir, 'default.json'), JSON.stringify({ domain: 'mock.shop', apiVersion: '2023-01', baseUrl: 'https://mock.shop/api', cart: { persistLocal: true } }));
+    fs.writeFileSync(path.join(outDir, 'staging.json'), JSON.stringify({ domain: 'staging-shop.myshopify.com', private: { adminAccessToken: 'shpat_0123456789' } }));
+    process.env.SHOPIFY_API_VERSION = '2024-01';
+
+    try {
+      const { config, privateConfig } = builder.getRuntimeConfig();
+      expect(config).toEqual(expect.objectContaining({ domain: 'staging-shop.myshopify.com', apiVersion: '2024-01', cart: { persistLocal: true }, environment: 'staging' }));
+      expect(privateConfig).toEqual({ adminAccessToken: 'shpat_0123456789' });
+      expect(builder.getRuntimeConfigScript()).not.toContain('shpat_');
+
+      process.env.SHOPIFY_STOREFRONT_ACCESS_TOKEN = 'shpat_0123456789';
+      expect(() => builder.getRuntimeConfig()).toThrow('$SHOPIFY_STOREFRONT_ACCESS_TOKEN: "storefrontAccessToken" looks like a private value');
+    } finally {
+      delete process.env.SHOPIFY_API_VERSION;
+      delete process.env.SHOPIFY_STOREFRONT_ACCESS_TOKEN;
+    }
+  });
+
+  test('should index products by the words they can be found by', () => {
+    const products = [{
+      node: {
+        id: 'gid://shopify/Product/1',
+        handle: 'womens-hoodie',
+        title: 'Women\'s Café Hoodie',
+        productType: 'Hoodies',
+        tags: ['Winter'],
+        description: 'A cozy hoodie for the cold.',
+        variants: { edges: [{ node: { title: 'Default Title', price: { amount: '69.00', currencyCode: 'USD' } } }] }
+      }
+    }];
+
+    expect(builder.getSearchTokens('Women\'s Café T-Shirt, size 2')).toEqual(['women', 'cafe', 'shirt', 'size', '2']);
+    expect(builder.getSearchIndex(products).products[0]).toEqual(expect.objectContaining({
+      url: 'products/womens-hoodie.html',
+      price: 69,
+      tokens: ['women', 'cafe', 'hoodie', 'hoodies', 'winter', 'cozy', 'cold']
+    }));
+  });
+
+  test('should stamp every page with the runtime config but none of its private values', async () => {
+    const configDir = path.join(outDir, 'config');
+    fs.mkdirSync(configDir);
+    fs.copyFileSync(path.join(__dirname, '..', 'config', 'default.json'), path.join(configDir, 'default.json'));
+    fs.writeFileSync(path.join(configDir, 'staging.json'), JSON.stringify({ private: { adminAccessToken: 'shpat_0123456789' } }));
+    builder.configDir = configDir;
+    builder.options.env = 'staging';
+    builder.options.minify = false;
+
+    await builder.renderPage({ page: { title: 'About', components: [] } }, 'about.html');
+    const html = fs.readFileSync(path.join(outDir, 'about.html'), 'utf8');
+
+    expect(html).toContain('window.SHOPIFY_CONFIG');
+    expect(html).toMatch(/environment:\s*"staging"/);
+    expect(html).toMatch(/version:\s*"1\.0\.0"/);
+    expect(html).toContain('<meta name="build-environment" content="staging">');
+    expect(html).not.toContain('shpat_');
+  });
+
+  describe('product pages', () => {
+    const hoodie = {
+      id: 'gid://shopify/Product/1',
+      handle: 'zip-hoodie',
+      title: 'Zip Hoodie',
+      description: 'Warm & soft',
+      featuredImage: { url: 'https://cdn.shopify.com/front.jpg' },
+      images: { edges: [{ node: { url: 'https://cdn.shopify.com/front.jpg', altText: 'Front' } }, { node: { url: 'https://cdn.shopify.com/back.jpg', altText: null } }] },
+      variants: {
+        edges: [
+          { node: { id: 'gid://shopify/ProductVariant/11', title: 'Small', selectedOptions: [{ name: 'Size', value: 'Small' }], price: { amount: '60.00', currencyCode: 'USD' } } },
+          { node: { id: 'gid://shopify/ProductVariant/12', title: 'Large', selectedOptions: [{ name: 'Size', value: 'Large' }], price: { amount: '65.00', currencyCode: 'USD' } } }
+        ]
+      }
+    };
+    const mug = {
+      id: 'gid://shopify/Product/2',
+      title: 'Coffee Mug',
+      description: '',
+      variants: { edges: [{ node: { id: 'gid://shopify/ProductVariant/21', title: 'Default Title', price: { amount: '9.00', currencyCode: 'EUR' } } }] }
+    };
+
+    test('should describe a product by its default variant, variants and images', () => {
+      const detail = builder.getProductDetailData(hoodie);
+
+      expect(detail).toEqual(expect.objectContaining({
+        handle: 'zip-hoodie',
+        price: '60.00',
+        currency: 'USD',
+        variant_id: 'gid://shopify/ProductVariant/11',
+        variant_title: 'Small',
+        variant_options_json: '[{"name":"Size","value":"Small"}]',
+        has_variants: true,
+        has_thumbnails: true
+      }));
+      expect(detail.variants.map(variant => [variant.title, variant.price])).toEqual([['Small', '60.00'], ['Large', '65.00']]);
+      expect(detail.images.map(image => [image.url, image.alt])).toEqual([
+        ['https://cdn.shopify.com/front.jpg', 'Front'],
+        ['https://cdn.shopify.com/back.jpg', 'Zip Hoodie']
+      ]);
+    });
+
+    test('should leave out the picker and gallery for a single variant without images', () => {
+      const detail = builder.getProductDetailData(mug);
+
+      expect(detail).toEqual(expect.objectContaining({ handle: 'coffee-mug', price: '9.00', currency: 'EUR', has_variants: false, has_thumbnails: false }));
+      expect(detail.image_html).toBe('<div class="product-placeholder">Coffee Mug</div>');
+    });
+
+    test('should render a picker option with the options of every variant', () => {
+      const template = builder.readTemplate(path.join(builder.templatesDir, 'components', 'product-detail.html'));
+      const html = builder.renderTemplate(template, builder.getProductDetailData(hoodie), 'product-detail.html');
+
+      expect(html).toContain('<option value="gid://shopify/ProductVariant/12" data-title="Large" data-options="[{&quot;name&quot;:&quot;Size&quot;,&quot;value&quot;:&quot;Large&quot;}]" data-price="65.00">Large - USD 65.00</option>');
+      expect(html).toContain('data-variant-id="gid://shopify/ProductVariant/11" data-variant-title="Small" data-options="[{&quot;name&quot;:&quot;Size&quot;,&quot;value&quot;:&quot;Small&quot;}]"');
+      expect(html).toContain('<p class="product-detail-description">Warm &amp; soft</p>');
+    });
+
+    test('should write a product page under products/', async () => {
+      await builder.buildProductPage(hoodie);
+      expect(fs.readFileSync(path.join(outDir, 'products', 'zip-hoodie.html'), 'utf8')).toContain('<title>Zip Hoodie | ');
+    });
+
+    test('should refuse product data without its required props', () => {
+      const detail = { ...builder.getProductDetailData(mug), title: undefined, price: 9 };
+      const pageData = { page: { title: 'Coffee Mug', components: ['product-detail'] }, 'product-detail': detail };
+
+      expect(() => builder.validatePage(pageData, null, 'products/coffee-mug.html')).toThrow([
+        'Invalid page data:',
+        '  products/coffee-mug.html: missing required prop "product-detail.title"',
+        '  products/coffee-mug.html: "product-detail.price" should be a string, not a number'
+      ].join('\n'));
+    });
+  });
+
+  describe('taxonomy', () => {
+    const product = (id, title, productType = '', tags = []) => ({
+      node: { id, handle: id, title, productType, tags, description: '', variants: { edges: [{ node: { price: { amount: '10.00', currencyCode: 'USD' } } }] } }
+    });
+    const writeTaxonomy = categories => fs.writeFileSync(builder.taxonomyPath, JSON.stringify({ categories }));
+
+    beforeEach(() => {
+      builder.taxonomyPath = path.join(outDir, 'taxonomy.json');
+      writeTaxonomy([
+        { title: 'Outerwear', description: 'Warm layers', productTypes: ['Jackets'], tags: ['winter'] },
+        { slug: 'gifts', title: 'Gift Ideas', products: ['scarf'] },
+        { title: 'Hoodies' },
+        { title: 'Empty' }
+      ]);
+    });
+
+    test('should categorize by product, then product type, then tag, then title', () => {
+      const category = node => builder.getProductCategory(node.node).slug;
+
+      expect(category(product('scarf', 'Wool Scarf', 'Jackets'))).toBe('gifts');
+      expect(category(product('parka', 'Parka', 'jackets'))).toBe('outerwear');
+      expect(category(product('beanie', 'Beanie', '', ['Winter']))).toBe('outerwear');
+      expect(category(product('zip', 'Zip Hoodie'))).toBe('hoodies');
+      expect(builder.getProductCategory(product('mug', 'Coffee Mug').node)).toEqual({ slug: 'other', title: 'Other', description: '' });
+    });
+
+    test('should group the catalog in taxonomy order and skip empty categories', () => {
+      const collections = builder.getCollections([
+        product('mug', 'Coffee Mug'),
+        product('zip', 'Zip Hoodie'),
+        product('parka', 'Parka', 'Jackets'),
+        product('scarf', 'Wool Scarf')
+      ]);
+
+      expect(collections.map(({ category, products }) => [category.slug, products.map(edge => edge.node.id)])).toEqual([
+        ['outerwear', ['parka']],
+        ['gifts', ['scarf']],
+        ['hoodies', ['zip']],
+        ['other', ['mug']]
+      ]);
+    });
+
+    test('should reject duplicate and malformed slugs', () => {
+      writeTaxonomy([{ title: 'Hats' }, { slug: 'hats', title: 'Caps' }]);
+      expect(() => builder.getTaxonomy()).toThrow('Duplicate category slug "hats" in taxonomy.json');
+
+      builder.taxonomy = null;
+      writeTaxonomy([{ slug: 'Big Hats', title: 'Hats' }]);
+      expect(() => builder.getTaxonomy()).toThrow('categories[0].slug in taxonomy.json must be lowercase letters, digits and hyphens (got "Big Hats")');
+    });
+
+    test('should build a listing page per category', async () => {
+      const [collection] = builder.getCollections([product('parka', 'Parka', 'Jackets')]);
+
+      await builder.buildCollectionPage(collection);
+      const html = fs.readFileSync(path.join(outDir, 'collections', 'outerwear.html'), 'utf8');
+
+      expect(html).toMatch(/<title>Outerwear \| [^<]+<\/title>/);
+      expect(html).toContain('<h1>Outerwear</h1>');
+      expect(html).toMatch(/<a href="?\.\.\/products\/parka\.html"? class="?product-link"?>Parka<\/a>/);
+    });
+  });
+
+  describe('incremental builds', () => {
+    const writeData = (name, data) => fs.writeFileSync(path.join(outDir, name), JSON.stringify(data));
+
+    // Pages that read their own data file, as buildPage does with data/pages/<name>.json
+    const unit = name => ({
+      type: 'page',
+      output: `${name}.html`,
+      build: () => {
+        const { title } = builder.readJSONData(path.join(outDir, `${name}.json`));
+        fs.writeFileSync(path.join(outDir, `${name}.html`), `<h1>${title}</h1>`);
+      }
+    });
+
+    const build = async (...names) => {
+      builder.getBuildUnits = async () => names.map(unit);
+      const { rebuilt } = await builder.buildChangedPages();
+      return rebuilt.map(entry => entry.output);
+    };
+
+    beforeEach(() => {
+      builder.buildManifestPath = path.join(outDir, 'build-manifest.json');
+      writeData('about.json', { title: 'About' });
+      writeData('contact.json', { title: 'Contact' });
+    });
+
+    test('should only rebuild pages whose inputs changed', async () => {
+      expect(await build('about', 'contact')).toEqual(['about.html', 'contact.html']);
+      expect(await build('about', 'contact')).toEqual([]);
+
+      writeData('contact.json', { title: 'Contact us' });
+      expect(await build('about', 'contact')).toEqual(['contact.html']);
+      expect(fs.readFileSync(path.join(outDir, 'contact.html'), 'utf8')).toBe('<h1>Contact us</h1>');
+    });
+
+    test('should say why a page is rebuilt', async () => {
+      expect(builder.getRebuildReason('about.html')).toBe('new page');
+      await build('about');
+
+      builder.inputHashes.clear();
+      expect(builder.getRebuildReason('about.html')).toBeNull();
+      writeData('about.json', { title: 'About us' });
+      builder.inputHashes.clear();
+      expect(builder.getRebuildReason('about.html')).toMatch(/^\S*about\.json changed$/);
+
+      fs.rmSync(path.join(outDir, 'about.html'));
+      expect(builder.getRebuildReason('about.html')).toBe('output missing');
+      builder.options.force = true;
+      expect(builder.getRebuildReason('about.html')).toBe('forced');
+    });
+
+    test('should remove pages that are no longer generated', async () => {
+      await build('about', 'contact');
+
+      expect(await build('about')).toEqual([]);
+      expect(fs.existsSync(path.join(outDir, 'contact.html'))).toBe(false);
+      expect(Array.from(builder.dependencies.keys())).toEqual(['about.html']);
+    });
+
+    test('should keep the dependency graph between builds unless the build settings change', async () => {
+      await build('about');
+      builder.writeBuildManifest();
+
+      const next = new PerformanceBuilder({ outDir });
+      next.buildManifestPath = builder.buildManifestPath;
+      next.readBuildManifest();
+      expect(next.getRebuildReason('about.html')).toBeNull();
+
+      const watching = new PerformanceBuilder({ outDir, watch: true });
+      watching.buildManifestPath = builder.buildManifestPath;
+      watching.readBuildManifest();
+      expect(watching.getRebuildReason('about.html')).toBe('new page');
+    });
+  });
+
+  describe('images', () => {
+    const cdn = 'https://cdn.shopify.com/s/files/hoodie.jpg';
+
+    beforeEach(() => {
+      builder.dataDir = outDir;
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ images: { widths: [600, 300], criticalCount: 2 } }));
+    });
+
+    test('should give Shopify images a srcset of CDN widths', () => {
+      expect(builder.getResponsiveImage(cdn)).toEqual({
+        src: `${cdn}?width=600`,
+        srcset: `${cdn}?width=300 300w, ${cdn}?width=600 600w`,
+        sources: []
+      });
+      expect(builder.getResponsiveImage('https://example.com/a.jpg')).toEqual({ src: 'https://example.com/a.jpg', srcset: '', sources: [] });
+    });
+
+    test('should copy local images at their original size without sharp', () => {
+      builder.srcDir = outDir;
+      builder.sharp = null;
+      fs.mkdirSync(path.join(outDir, 'images'));
+      fs.writeFileSync(path.join(outDir, 'images', 'hero.png'), '');
+
+      expect(builder.getResponsiveImage('/images/hero.png')).toEqual({ src: 'images/hero.png', srcset: '', sources: [] });
+      expect(builder.imageJobs).toEqual([{ sourcePath: path.join(outDir, 'images', 'hero.png'), outputs: [{ file: 'images/hero.png' }] }]);
+      expect(() => builder.getResponsiveImage('images/missing.png')).toThrow('Image "images/missing.png" not found at ');
+    });
+
+    test('should load only the first images.criticalCount images eagerly', () => {
+      expect([0, 1, 2].map(position => builder.isCriticalImage(position))).toEqual([true, true, false]);
+      expect(builder.isCriticalImage(Infinity)).toBe(false);
+    });
+
+    test('should mark up critical images as eager and preloaded, the rest as lazy', () => {
+      const critical = builder.generateOptimizedImageHTML(cdn, 'Zip "Hoodie"', { position: 0 });
+      const lazy = builder.generateOptimizedImageHTML(cdn, 'Zip "Hoodie"', { position: 5, sizes: '50vw' });
+
+      expect(critical).toContain(`srcset="${cdn}?width=300 300w, ${cdn}?width=600 600w" sizes="(max-width: 480px) 100vw`);
+      expect(critical).toContain('alt="Zip &quot;Hoodie&quot;"');
+      expect(critical).toContain('loading="eager"');
+      expect(critical).toContain('fetchpriority="high"');
+      expect(critical).toContain(`<link rel="preload" as="image" href="${cdn}?width=600" imagesrcset=`);
+
+      expect(lazy).toContain('sizes="50vw"');
+      expect(lazy).toContain('loading="lazy"');
+      expect(lazy).not.toContain('fetchpriority');
+      expect(lazy).not.toContain('rel="preload"');
+    });
+
+    test('should render a placeholder without an image and refuse unsafe URLs', () => {
+      expect(builder.generateOptimizedImageHTML('', '<Mug>')).toBe('<div class="product-placeholder">&lt;Mug&gt;</div>');
+      expect(() => builder.generateOptimizedImageHTML('javascript:alert(1)', 'Mug')).toThrow('Unsafe image URL "javascript:alert(1)" for product "Mug"');
+    });
+  });
+
+  describe('metadata', () => {
+    const writeConfig = config => fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({
+      siteName: 'Shop',
+      baseUrl: 'https://shop.example/base',
+      ...config
+    }));
+
+    beforeEach(() => {
+      builder.dataDir = outDir;
+      writeConfig({ social: { image: 'images/og.png', twitter: '@shop' } });
+    });
+
+    test('should give every page a canonical URL and social tags', () => {
+      const metadata = builder.getPageMetadata({ page: { title: 'About', description: 'Who we are' } }, 'about.html');
+
+      expect(metadata).toEqual(expect.objectContaining({
+        CANONICAL_URL: 'https://shop.example/base/about.html',
+        SITE_NAME: 'Shop',
+        OG_TYPE: 'website',
+        OG_TITLE: 'About',
+        OG_DESCRIPTION: 'Who we are',
+        OG_IMAGE: 'https://shop.example/base/images/og.png',
+        TWITTER_CARD: 'summary_large_image',
+        TWITTER_SITE: '@shop'
+      }));
+      expect(builder.getPageMetadata({ page: {} }, 'index.html').CANONICAL_URL).toBe('https://shop.example/base/');
+      expect(builder.getPageMetadata({ page: { canonical: 'shop.html', social: { title: 'Sale', image: '' } } }, 'sale.html'))
+        .toEqual(expect.objectContaining({ CANONICAL_URL: 'https://shop.example/base/shop.html', OG_TITLE: 'Sale', OG_IMAGE: '', TWITTER_CARD: 'summary' }));
+    });
+
+    test('should require an absolute baseUrl', () => {
+      writeConfig({ baseUrl: '/shop' });
+
+      expect(() => builder.getPageMetadata({ page: {} }, 'about.html')).toThrow('baseUrl in site-config.json must be an absolute http(s) URL (got "/shop")');
+    });
+
+    test('should describe products and breadcrumbs as schema.org JSON-LD', () => {
+      const node = {
+        id: 'gid://shopify/Product/1',
+        handle: 'zip-hoodie',
+        title: 'Zip Hoodie',
+        description: 'Warm',
+        images: { edges: [{ node: { url: 'https://cdn.shopify.com/front.jpg' } }] },
+        variants: { edges: [
+          { node: { title: 'Default Title', price: { amount: '60.00', currencyCode: 'USD' } } },
+          { node: { title: 'Large', price: { amount: '65.00', currencyCode: 'USD' } } }
+        ] }
+      };
+      const url = 'https://shop.example/base/products/zip-hoodie.html';
+
+      expect(builder.getProductSchema(node)).toEqual({
+        '@type': 'Product',
+        '@id': `${url}#product`,
+        name: 'Zip Hoodie',
+        description: 'Warm',
+        image: ['https://cdn.shopify.com/front.jpg'],
+        category: 'Hoodies',
+        url,
+        offers: [
+          { '@type': 'Offer', price: '60.00', priceCurrency: 'USD', url },
+          { '@type': 'Offer', name: 'Large', price: '65.00', priceCurrency: 'USD', url }
+        ]
+      });
+      expect(builder.getBreadcrumbSchema([{ name: 'Shop', path: 'shop.html' }, { name: 'Zip Hoodie', path: 'products/zip-hoodie.html' }])).toEqual({
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Shop', item: 'https://shop.example/base/shop.html' },
+          { '@type': 'ListItem', position: 2, name: 'Zip Hoodie', item: url }
+        ]
+      });
+    });
+
+    test('should keep JSON-LD strings from closing the script tag', () => {
+      const page = { title: 'About', structuredData: [{ '@type': 'Thing', name: '</script><script>alert(1)</script>' }] };
+
+      const { STRUCTURED_DATA } = builder.getPageMetadata({ page }, 'about.html');
+      const json = /^<script type="application\/ld\+json">([\s\S]*)<\/script>$/.exec(STRUCTURED_DATA)[1];
+
+      expect(json).not.toContain('</script>');
+      expect(JSON.parse(json)['@graph']).toEqual([
+        { '@type': 'Organization', '@id': 'https://shop.example/base/#organization', name: 'Shop', url: 'https://shop.example/base/' },
+        { '@type': 'Thing', name: '</script><script>alert(1)</script>' }
+      ]);
+    });
+  });
+
+  describe('sitemap, robots.txt and 404 page', () => {
+    const writeConfig = config => fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ siteName: 'Shop', baseUrl: 'https://shop.example/base', ...config }));
+
+    beforeEach(() => {
+      builder.dataDir = outDir;
+      writeConfig();
+    });
+
+    test('should list every indexable page in sitemap.xml and point robots.txt at it', () => {
+      builder.writeSiteFiles([{ output: 'index.html' }, { output: 'products/zip-hoodie.html' }, { output: '404.html', noindex: true }]);
+      const sitemap = fs.readFileSync(path.join(outDir, 'sitemap.xml'), 'utf8');
+
+      expect(Array.from(sitemap.matchAll(/<loc>([^<]*)<\/loc>/g), match => match[1])).toEqual([
+        'https://shop.example/base/',
+        'https://shop.example/base/products/zip-hoodie.html'
+      ]);
+      expect(sitemap).toMatch(/<lastmod>\d{4}-\d\d-\d\dT[^<]+<\/lastmod>/);
+      expect(fs.readFileSync(path.join(outDir, 'robots.txt'), 'utf8')).toBe('User-agent: *\nDisallow:\n\nSitemap: https://shop.example/base/sitemap.xml\n');
+    });
+
+    test('should write robots.txt rules from site-config.json', () => {
+      writeConfig({ robots: { rules: [{ userAgent: 'GPTBot', disallow: ['/'] }, { userAgent: '*', allow: ['/shop.html'], disallow: ['/checkout/'] }], sitemap: false } });
+
+      expect(builder.getRobotsTxt()).toBe('User-agent: GPTBot\nDisallow: /\n\nUser-agent: *\nAllow: /shop.html\nDisallow: /checkout/\n');
+
+      writeConfig({ robots: { rules: [{ userAgent: '*', disallow: '/' }] } });
+      expect(() => builder.getRobotsTxt()).toThrow('robots.rules[0].disallow in site-config.json must be an array of paths');
+      writeConfig({ robots: { rules: [] } });
+      expect(() => builder.getRobotsTxt()).toThrow('robots.rules in site-config.json must be a non-empty array');
+    });
+
+    test('should keep the 404 page out of search results and link it from the site root', async () => {
+      await builder.renderPage({
+        page: { title: 'Not found', noindex: true, components: ['not-found'] },
+        'not-found': { title: 'Page not found', message: 'Gone', links: [{ text: 'Shop', url: 'shop.html' }] }
+      }, '404.html');
+      const html = fs.readFileSync(path.join(outDir, '404.html'), 'utf8');
+
+      expect(html).toMatch(/<meta name="?robots"? content="?noindex"?>/);
+      expect(html).toMatch(/<a href="?\/base\/shop\.html"? class="?cta-button"?>Shop<\/a>/);
+    });
+  });
+
+  describe('page validation', () => {
+    const pageFile = () => path.join(outDir, 'page.json');
+    // Errors name page files relative to the repository root, where build.js lives
+    const location = line => `${path.relative(path.join(__dirname, '..'), pageFile())}:${line}`;
+    const validate = () => builder.validatePage(builder.readJSONData(pageFile()), pageFile());
+
+    test('should report unknown components and missing props with their file and line', () => {
+      fs.writeFileSync(pageFile(), JSON.stringify({
+        page: { title: 'Home', components: ['hero', 'carousel'] },
+        hero: { title: 'Fast', subtitle: 'Sites', cta_text: 'Go' }
+      }, null, 2));
+
+      expect(validate).toThrow([
+        'Invalid page data:',
+        `  ${location(9)}: missing required prop "hero.cta_url"`,
+        `  ${location(6)}: unknown component "carousel" (no src/templates/components/carousel.html)`
+      ].join('\n'));
+    });
+
+    test('should report malformed page JSON with its line and column', () => {
+      fs.writeFileSync(pageFile(), '{\n  "page": {\n    "title": "Home",,\n  }\n}\n');
+
+      expect(validate).toThrow(`${location('3:21')}: invalid JSON (`);
+    });
+  });
+
+  describe('blog', () => {
+    const writePost = (name, source) => {
+      builder.postsDir = path.join(outDir, 'posts');
+      fs.mkdirSync(builder.postsDir, { recursive: true });
+      const file = path.join(builder.postsDir, name);
+      fs.writeFileSync(file, source);
+      return file;
+    };
+    const label = file => path.relative(path.join(__dirname, '..'), file);
+
+    test('should escape HTML in Markdown and reject unsafe links', () => {
+      const html = builder.renderMarkdown('# Title\n\nSome <script>alert(1)</script> and **bold**.');
+
+      expect(html).toContain('<h1 id="title">Title</h1>');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).toContain('<strong>bold</strong>');
+      expect(() => builder.renderInlineMarkdown('[click](javascript:alert%281%29)')).toThrow('unsafe URL "javascript:alert%281%29" in Markdown');
+      expect(() => builder.renderInlineMarkdown('![x](JavaScript:alert(1))')).toThrow('unsafe URL');
+    });
+
+    test('should leave link and image URLs alone when applying emphasis', () => {
+      expect(builder.renderInlineMarkdown('[x](https://a.com/*foo*)')).toBe('<a href="https://a.com/*foo*">x</a>');
+      expect(builder.renderInlineMarkdown('![a *b* c](/img/_x_.png) and *[y](/b_c_d)*')).toBe(
+        '<img src="/img/_x_.png" alt="a *b* c" loading="lazy"> and <em><a href="/b_c_d">y</a></em>'
+      );
+    });
+
+    test('should report front matter errors with their file and line', () => {
+      const noFrontMatter = writePost('a.md', '# Hello');
+      const badLine = writePost('b.md', '---\ntitle: Hello\nnot a field\n---\n');
+      const badDate = writePost('c.md', '---\ntitle: Hello\ndate: August 1\n---\n');
+      const badTags = writePost('d.md', '---\ntitle: Hello\ndate: 2025-08-01\ntags: css\n---\n');
+
+      expect(() => builder.readPost(noFrontMatter)).toThrow(`${label(noFrontMatter)}:1: missing front matter`);
+      expect(() => builder.readPost(badLine)).toThrow(`${label(badLine)}:3: expected "key: value" in front matter, got "not a field"`);
+      expect(() => builder.readPost(badDate)).toThrow(`${label(badDate)}:3: date must be YYYY-MM-DD (got "August 1")`);
+      expect(() => builder.readPost(badTags)).toThrow(`${label(badTags)}:4: tags must be a list`);
+    });
+
+    test('should read front matter values, lists and the slug from the file name', () => {
+      const file = writePost('2025-08-01-Fast Pages.md', '---\ntitle: "Fast: pages"\ndate: 2025-08-01\ntags:\n  - css\n  - perf\ndraft: false\n---\nHello *world*\n');
+
+      expect(builder.readPost(file)).toEqual(expect.objectContaining({
+        slug: 'fast-pages',
+        output: 'blog/fast-pages.html',
+        title: 'Fast: pages',
+        tags: ['css', 'perf'],
+        draft: false,
+        html: '<p>Hello <em>world</em></p>'
+      }));
+    });
+
+    test('should make links in feed entries absolute', () => {
+      builder.dataDir = outDir;
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ siteName: 'Shop', baseUrl: 'https://shop.example/base' }));
+      const post = builder.readPost(writePost('2025-08-01-hello.md', '---\ntitle: Hello\ndate: 2025-08-01\n---\nSee [the shop](shop.html), ![a mug](images/mug.png) and [docs](https://docs.example/).\n'));
+
+      const feed = builder.getFeedXML([post]);
+
+      expect(feed).toContain('<link href="https://shop.example/base/blog/hello.html"/>');
+      expect(feed).toContain('&lt;a href=&quot;https://shop.example/base/shop.html&quot;&gt;the shop&lt;/a&gt;');
+      expect(feed).toContain('&lt;img src=&quot;https://shop.example/base/images/mug.png&quot;');
+      expect(feed).toContain('&lt;a href=&quot;https://docs.example/&quot;&gt;docs&lt;/a&gt;');
+    });
+  });
+
+  describe('performance budgets', () => {
+    test('should apply page budget overrides in order', () => {
+      const budgets = {
+        gzipBytes: 100,
+        preloads: 4,
+        pages: { 'collections/*': { gzipBytes: 200 }, 'collections/sale.html': { gzipBytes: 300 } }
+      };
+
+      expect(builder.getPageBudgets(budgets, 'index.html')).toEqual({ gzipBytes: 100, preloads: 4 });
+      expect(builder.getPageBudgets(budgets, 'collections/hoodies.html')).toEqual({ gzipBytes: 200, preloads: 4 });
+      expect(builder.getPageBudgets(budgets, 'collections/sale.html')).toEqual({ gzipBytes: 300, preloads: 4 });
+    });
+
+
+    test('should fail the build with the page, its size and the budget when a page is over budget', () => {
+      builder.dataDir = outDir;
+      builder.sizeReportPath = path.join(outDir, 'size-report.json');
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ budgets: { images: 5, pages: { 'about.html': { htmlBytes: 1024 } } } }));
+      fs.writeFileSync(path.join(outDir, 'index.html'), `<p>${'x'.repeat(2000)}</p>`);
+      fs.writeFileSync(path.join(outDir, 'about.html'), `<p>${'x'.repeat(2041)}</p>`);
+      jest.spyOn(console, 'table').mockImplementation(() => {});
+
+      expect(() => builder.reportSizes([{ output: 'index.html' }, { output: 'about.html' }]))
+        .toThrow(/^1 performance budget exceeded \(see .*size-report\.json\):\n {2}about\.html: htmlBytes is 2\.0 KB, over the budget of 1\.0 KB$/);
+      console.table.mockRestore();
+      const report = JSON.parse(fs.readFileSync(builder.sizeReportPath, 'utf8'));
+      expect(report.pages.map(page => [page.page, page.htmlBytes])).toEqual([['index.html', 2007], ['about.html', 2048]]);
+      expect(report.violations).toEqual(['about.html: htmlBytes is 2.0 KB, over the budget of 1.0 KB']);
+    });
+
+    test('should reject unknown budgets', () => {
+      builder.dataDir = outDir;
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ budgets: { pages: { 'blog/*': { jsBytes: 10 } } } }));
+
+      expect(() => builder.getBudgets()).toThrow('Unknown budget "jsBytes" in budgets.pages["blog/*"] in site-config.json');
+    });
+  });
+
+  describe('minification', () => {
+    const source = "function greet(name) {\n  console.log('greeting', name);\n  console.warn('deprecated');\n  console.error('failed', name);\n  return 'Hi ' + name;\n}\nwindow.greet = greet;\n";
+
+    test('should strip console.log and console.warn from scripts but keep console.error', async () => {
+      const minified = await builder.minifyJS(source, path.join(outDir, 'greet.js'));
+
+      expect(minified).not.toContain('console.log');
+      expect(minified).not.toContain('console.warn');
+      expect(minified).toContain('console.error("failed"');
+      expect(minified.length).toBeLessThan(source.length);
+    });
+
+    test('should keep scripts and styles as written in --debug builds', async () => {
+      const debug = new PerformanceBuilder({ outDir, debug: true });
+      const script = path.join(outDir, 'greet.js');
+      fs.writeFileSync(script, source);
+
+      expect(await debug.minifyJS(source, script)).toBe(source);
+      expect(await debug.inlineJS([{ name: 'greet', file: script }])).toContain("console.log('greeting', name);");
+      expect(debug.minifyCSS('body {\n  margin: 0;\n}')).toBe('body {\n  margin: 0;\n}');
+    });
+
+    test('should minify CSS and report script syntax errors with their location', async () => {
+      expect(builder.minifyCSS('body {\n  margin: 0px;\n}\n')).toBe('body{margin:0}');
+      await expect(builder.minifyJS('let a = ;', path.join(__dirname, '..', 'src', 'scripts', 'broken.js')))
+        .rejects.toThrow('src/scripts/broken.js:1:9: JavaScript minification failed (Unexpected token');
+    });
+  });
+
+  describe('plugins', () => {
+    // Writes a plugin module into the temporary directory and returns its path
+    const writePlugin = (name, source) => {
+      const file = path.join(outDir, `${name}.js`);
+      fs.writeFileSync(file, source);
+      return file;
+    };
+    const usePlugins = plugins => fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ baseUrl: 'https://shop.example/', plugins }));
+
+    beforeEach(() => {
+      builder.dataDir = outDir;
+      global.pluginCalls = [];
+    });
+
+    afterEach(() => {
+      delete global.pluginCalls;
+    });
+
+    test('should load the shop plugin by default, and plugins from site-config.json in order', () => {
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), '{}');
+      expect(builder.getPlugins().map(plugin => plugin.name)).toEqual(['shop']);
+
+      const tagger = writePlugin('tagger', "module.exports = (builder, options) => ({ name: `tagger:${options.tag}`, afterBuild() {} });");
+      builder.plugins = null;
+      usePlugins([{ use: tagger, options: { tag: 'a' } }, 'shop']);
+
+      expect(builder.getPlugins().map(plugin => [plugin.name, Object.keys(plugin.hooks)])).toEqual([
+        ['tagger:a', ['afterBuild']],
+        ['shop', ['beforeBuild', 'pages', 'loadData', 'afterBuild']]
+      ]);
+    });
+
+    test('should reject plugins that cannot be loaded or use an unknown hook', () => {
+      usePlugins([path.join(outDir, 'missing.js')]);
+      expect(() => builder.getPlugins()).toThrow(`Cannot load plugin "${path.join(outDir, 'missing.js')}" from site-config.json: Cannot find module`);
+
+      builder.plugins = null;
+      usePlugins([writePlugin('typo', "module.exports = () => ({ name: 'typo', afterPages() {} });")]);
+      expect(() => builder.getPlugins()).toThrow('Plugin "typo" has an unknown hook "afterPages" (available: beforeBuild, pages, loadData, transformComponent, afterPage, afterBuild)');
+
+      builder.plugins = null;
+      usePlugins([writePlugin('object', 'module.exports = { afterBuild() {} };')]);
+      expect(() => builder.getPlugins()).toThrow('must export a function that returns its hooks');
+    });
+
+    test('should call hooks in plugin order and name the plugin that failed', async () => {
+      const first = writePlugin('first', "module.exports = () => ({ name: 'first', beforeBuild: () => global.pluginCalls.push('first'), afterBuild: () => 1 });");
+      const second = writePlugin('second', "module.exports = () => ({ name: 'second', beforeBuild: () => global.pluginCalls.push('second'), afterBuild: () => { throw new Error('disk full'); } });");
+      usePlugins([first, second]);
+
+      await builder.callPlugins('beforeBuild');
+
+      expect(global.pluginCalls).toEqual(['first', 'second']);
+      await expect(builder.callPlugins('afterBuild')).rejects.toThrow('Plugin "second" failed in afterBuild: disk full');
+    });
+
+    test('should chain transformComponent and afterPage through every plugin', async () => {
+      const wrap = writePlugin('wrap', [
+        "module.exports = () => ({",
+        "  name: 'wrap',",
+        "  transformComponent: (name, html) => (name === 'hero' ? `<div class=\"wrap\">${html}</div>` : undefined),",
+        "  afterPage: (html, { output }) => html.replace('</body>', `<p class=\"from-wrap\">${output}</p></body>`)",
+        "});"
+      ].join('\n'));
+      const mark = writePlugin('mark', [
+        "module.exports = () => ({",
+        "  name: 'mark',",
+        "  transformComponent: (name, html, data) => html.replace('<div class=\"wrap\">', `<div class=\"wrap\" data-title=\"${data.title}\">`),",
+        "  afterPage: html => html.replace('from-wrap', 'from-wrap marked')",
+        "});"
+      ].join('\n'));
+      usePlugins([wrap, mark]);
+
+      await builder.renderPage({
+        page: { title: 'Home', components: ['hero'] },
+        hero: { title: 'Fast', subtitle: 'Sites', cta_text: 'Go', cta_url: 'shop.html' }
+      }, 'index.html');
+      const html = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+
+      expect(html).toContain('<div class="wrap" data-title="Fast"><section class="hero');
+      expect(html).toContain('<p class="from-wrap marked">index.html</p></body>');
+    });
+  });
+
+  describe('CSS pruning', () => {
+    const used = (classes, ids = []) => ({ classes: new Set(classes), ids: new Set(ids) });
+
+    test('should drop selectors that can never match and count them', () => {
+      const css = [
+        '/* comment with .ghost { } */',
+        'body { margin: 0; }',
+        '.card, .ghost, #cart .card-title { color: red; }',
+        '.card:not(.ghost) > a[href^="#ghost"] { color: blue; }',
+        '@media (max-width: 600px) { .ghost { display: none; } }',
+        '@media print { .card { display: block; } }',
+        '@keyframes spin { from { opacity: 0; } }'
+      ].join('\n');
+
+      const { css: pruned, removed } = builder.pruneCSS(css, used(['card', 'card-title'], ['cart']));
+
+      expect(pruned).toBe([
+        'body { margin: 0; }',
+        '.card, #cart .card-title { color: red; }',
+        '.card:not(.ghost) > a[href^="#ghost"] { color: blue; }',
+        '@media print {\n.card { display: block; }\n}',
+        '@keyframes spin { from { opacity: 0; } }',
+        ''
+      ].join('\n'));
+      expect(removed).toBe(2);
+    });
+
+    test('should keep allowlisted classes and ids, with * as a wildcard', () => {
+      const css = '.toast-success { color: green; } .toast-error { color: red; } #modal-1 { top: 0; } .other { top: 0; }';
+
+      const { css: pruned } = builder.pruneCSS(css, used([]), ['toast-*', 'modal-1']);
+
+      expect(pruned).toContain('.toast-success');
+      expect(pruned).toContain('.toast-error');
+      expect(pruned).toContain('#modal-1');
+      expect(pruned).not.toContain('.other');
+    });
+
+    test('should count classes and ids that scripts create at runtime as used', () => {
+      const script = path.join(outDir, 'widget.js');
+      fs.writeFileSync(script, [
+        "el.className = 'cart-dropdown open';",
+        "el.classList.add('is-visible', 'fade-in');",
+        "el.innerHTML = `<div class=\"notification\" id=\"toast\"></div><p class=\"${state}\"></p>`;",
+        "el.id = 'checkoutModal';"
+      ].join('\n'));
+
+      const { classes, ids } = builder.collectUsedSelectors('<main class="hero  hero--dark" id="top"></main>', [{ file: script }]);
+
+      expect(Array.from(classes).sort()).toEqual(['cart-dropdown', 'fade-in', 'hero', 'hero--dark', 'is-visible', 'notification', 'open']);
+      expect(Array.from(ids).sort()).toEqual(['checkoutModal', 'toast', 'top']);
+    });
+
+    test('should inline only the CSS a page uses unless pruning is off', () => {
+      const html = '<header class="header"></header>';
+      const pruned = builder.inlineCSS(html, [], 'about.html');
+      builder.dataDir = outDir;
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ css: { prune: false } }));
+      const full = builder.inlineCSS(html, [], 'about.html');
+
+      expect(pruned.length).toBeLessThan(full.length);
+      expect(full).toContain('.checkout-modal');
+      expect(pruned).not.toContain('.checkout-modal');
+    });
+  });
+
+
+  describe('Content-Security-Policy', () => {
+    const sha256 = source => `'sha256-${require('crypto').createHash('sha256').update(source, 'utf8').digest('base64')}'`;
+    const directive = (csp, name) => csp.split('; ').find(entry => entry.startsWith(`${name} `)).split(' ').slice(1);
+
+    beforeEach(() => {
+      builder.dataDir = outDir;
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ csp: { 'connect-src': ['https://api.example.com'] } }));
+    });
+
+    test('should allow exactly the inline scripts and styles on the page', () => {
+      const html = '<style>body{margin:0}</style><script>window.a = 1;</script><script src="app.js"></script><script type="application/ld+json">{}</script>';
+
+      const csp = builder.buildCSP(html);
+
+      expect(directive(csp, 'script-src')).toEqual(["'self'", sha256('window.a = 1;'), sha256('{}'), 'checkout.shopify.com', '*.shopify.com']);
+      expect(directive(csp, 'style-src')).toEqual(["'self'", sha256('body{margin:0}')]);
+      expect(directive(csp, 'connect-src')).toContain('https://api.example.com');
+      expect(csp).not.toContain('unsafe-inline');
+    });
+
+    test('should not let site-config.json allow unsafe-inline', () => {
+      fs.writeFileSync(path.join(outDir, 'site-config.json'), JSON.stringify({ csp: { 'script-src': ["'unsafe-inline'"] } }));
+
+      expect(() => builder.buildCSP('')).toThrow("csp.script-src in site-config.json must not allow 'unsafe-inline'");
+    });
+
+    test('should fail on inline handlers and style attributes with their line', () => {
+      const html = '<script>\nif (a) {\n}\n</script>\n<p>ok</p>\n<button onclick="go()">Go</button>';
+
+      expect(() => builder.assertNoInlineAttributes('<script>el.innerHTML = "<b onclick=x>";</script><p data-style="x">', 'about.html')).not.toThrow();
+      expect(() => builder.assertNoInlineAttributes(html, 'about.html')).toThrow('about.html: inline onclick= attribute near line 6');
+      expect(() => builder.assertNoInlineAttributes('<div\n  style="color: red">', 'about.html')).toThrow('inline style= attribute near line 1');
+    });
+
+    test('should stamp built pages with the hashes of their own inline blocks', async () => {
+      builder.dataDir = path.join(__dirname, '..', 'data');
+
+      await builder.renderPage({ page: { title: 'About', components: ['header', 'footer'] } }, 'about.html');
+      const html = fs.readFileSync(path.join(outDir, 'about.html'), 'utf8');
+      const csp = /<meta http-equiv="Content-Security-Policy" content="([^"]*)">/.exec(html)[1].replace(/&#39;/g, "'");
+
+      const scripts = Array.from(html.matchAll(/<script(?![^>]*\ssrc=)[^>]*>([\s\S]*?)<\/script>/g), match => sha256(match[1]));
+      const styles = Array.from(html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/g), match => sha256(match[1]));
+      expect(scripts.length).toBeGreaterThan(0);
+      expect(styles.length).toBeGreaterThan(0);
+      expect(directive(csp, 'script-src')).toEqual(expect.arrayContaining(scripts));
+      expect(directive(csp, 'style-src')).toEqual(expect.arrayContaining(styles));
+    });
+  });
+
+  test('should serve pages without their .html extension in dev mode', async () => {
+    fs.writeFileSync(path.join(outDir, 'about.html'), '<!DOCTYPE html>');
+    fs.mkdirSync(path.join(outDir, 'products'));
+    fs.writeFileSync(path.join(outDir, 'products', 'index.html'), '<!DOCTYPE html>');
+    fs.writeFileSync(path.join(outDir, 'hero.avif'), '');
+    const server = builder.serve(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const get = urlPath => new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, path: urlPath }, res => {
+        res.resume();
+        resolve([res.statusCode, res.headers['content-type']]);
+      }).on('error', reject);
+    });
+
+    try {
+      expect(await get('/about')).toEqual([200, 'text/html; charset=utf-8']);
+      expect(await get('/products/')).toEqual([200, 'text/html; charset=utf-8']);
+      expect(await get('/hero.avif')).toEqual([200, 'image/avif']);
+      expect((await get('/missing'))[0]).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should answer malformed request paths with 400 and keep serving', async () => {
+    fs.writeFileSync(path.join(outDir, 'about.html'), '<!DOCTYPE html>');
+    const server = builder.serve(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const get = urlPath => new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, path: urlPath }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+
+    try {
+      expect(await get('/%E0%A4%A')).toBe(400);
+      expect(await get('/about')).toBe(200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should remove the output directory on clean', () => {
+    fs.writeFileSync(path.join(outDir, 'index.html'), '<!DOCTYPE html>');
+    builder.buildManifestPath = path.join(outDir, '..', `${path.basename(outDir)}-manifest.json`);
+    builder.sizeReportPath = path.join(outDir, '..', `${path.basename(outDir)}-size-report.json`);
+
+    builder.clean();
+
+    expect(fs.existsSync(outDir)).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Cart Tests
+ * Runs the real Mock.Shop cart against a minimal header
+ */
+
+describe('Mock.Shop Cart', () => {
+  let cart;
+
+  const hoodie = (overrides = {}) => global.createMockCartItem({
+    id: 'gid://shopify/Product/1',
+    title: 'Hoodie',
+    price: 65,
+    variantId: 'gid://shopify/ProductVariant/11',
+    variantTitle: 'Small',
+    selectedOptions: [{ name: 'Size', value: 'Small' }],
+    ...overrides
+  });
+
+  beforeAll(() => {
+    document.body.innerHTML = '<div class="cart-icon"><span class="cart-badge">0</span></div>';
+    require('../src/scripts/mock-shop-cart');
+    cart = window.cart;
+  });
+
+  beforeEach(() => {
+    global.resetMocks();
+    cart.localCart = [];
+  });
+
+  test('should keep each variant of a product on its own line', () => {
+    cart.addToCart(hoodie());
+    cart.addToCart(hoodie({ variantId: 'gid://shopify/ProductVariant/12', variantTitle: 'Large', selectedOptions: [{ name: 'Size', value: 'Large' }], price: 70 }));
+    cart.addToCart(hoodie());
+
+    expect(cart.localCart.map(item => [item.lineId, item.quantity, item.price])).toEqual([
+      ['gid://shopify/ProductVariant/11', 2, 65],
+      ['gid://shopify/ProductVariant/12', 1, 70]
+    ]);
+    expect(cart.calculateSubtotal()).toBe(200);
+  });
+
+  test('should update and remove lines by variant', () => {
+    cart.addToCart(hoodie());
+    cart.addToCart(hoodie({ variantId: 'gid://shopify/ProductVariant/12', variantTitle: 'Large' }));
+
+    cart.updateQuantity('gid://shopify/ProductVariant/12', 3);
+    cart.removeItem('gid://shopify/ProductVariant/11');
+
+    expect(cart.localCart.map(item => [item.variantTitle, item.quantity])).toEqual([['Large', 3]]);
+  });
+
+  test('should label lines by their options and skip the default variant', () => {
+    expect(cart.getVariantLabel({ selectedOptions: [{ name: 'Size', value: 'M' }, { name: 'Color', value: 'Black' }] })).toBe('Size: M, Color: Black');
+    expect(cart.getVariantLabel({ variantTitle: 'Default Title', selectedOptions: [{ name: 'Title', value: 'Default Title' }] })).toBe('');
+  });
+
+  test('should render variant labels as text', () => {
+    cart.addToCart(hoodie({ selectedOptions: [{ name: 'Size', value: '<img src=x onerror=alert(1)>' }] }));
+
+    const label = document.querySelector('#cartItems .item-variant');
+    expect(label.textContent).toBe('Size: <img src=x onerror=alert(1)>');
+    expect(label.querySelector('img')).toBeNull();
+  });
+
+  test('should render titles as text and keep line ids intact in attributes', () => {
+    const variantId = 'gid://shopify/ProductVariant/"11';
+    cart.addToCart(hoodie({ title: '<img src=x onerror=alert(1)>', variantId }));
+
+    const row = document.querySelector('#cartItems .cart-item');
+    expect(row.querySelector('.item-name').textContent).toBe('<img src=x onerror=alert(1)>');
+    expect(row.querySelector('img')).toBeNull();
+    expect([...row.querySelectorAll('[data-cart-action]')].map(button => button.dataset.lineId)).toEqual([variantId, variantId, variantId]);
+
+    row.querySelector('[data-cart-action="remove"]').click();
+    expect(cart.localCart).toEqual([]);
+  });
+
+  test('should render variant labels as text in the checkout too', () => {
+    require('../src/scripts/performance-checkout');
+    document.body.insertAdjacentHTML('beforeend', '<div id="checkoutCartItems"></div>');
+    window.checkout.localCart = [cart.validateCartItem(hoodie({ variantTitle: '<b>Small</b>', selectedOptions: [] }))];
+
+    window.checkout.refreshCheckoutCartDisplay();
+
+    const label = document.querySelector('#checkoutCartItems .item-variant');
+    expect(label.textContent).toBe('<b>Small</b>');
+    expect(label.querySelector('b')).toBeNull();
+  });
+
+  test('should render titles, images and line ids as text and attributes in the checkout', () => {
+    const variantId = 'gid://shopify/ProductVariant/"11';
+    window.checkout.localCart = [cart.validateCartItem(hoodie({ title: '<img src=x onerror=alert(1)>', image: 'x" onerror="alert(1)', variantId }))];
+
+    window.checkout.refreshCheckoutCartDisplay();
+
+    const row = document.querySelector('#checkoutCartItems .checkout-cart-item');
+    expect(row.dataset.lineId).toBe(variantId);
+    expect(row.querySelector('.item-name').textContent).toBe('<img src=x onerror=alert(1)>');
+    const images = row.querySelectorAll('img');
+    expect(images).toHaveLength(1);
+    expect(images[0].getAttribute('src')).toBe('x" onerror="alert(1)');
+    expect(images[0].getAttribute('alt')).toBe('<img src=x onerror=alert(1)>');
+    expect(images[0].hasAttribute('onerror')).toBe(false);
+  });
+});
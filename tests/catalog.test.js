@@ -0,0 +1,272 @@
+/**
+ * Catalog Tests
+ * Loads the product catalog through the shop plugin from a local Storefront server and files in a temporary directory
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { PerformanceBuilder } = require('../build');
+const shopPlugin = require('../plugins/shop');
+
+describe('Product Catalog', () => {
+  let rootDir;
+  let builder;
+  let server;
+  let respond;
+
+  const product = handle => ({ node: { id: `gid://shopify/Product/${handle}`, handle, title: handle } });
+
+  const writeJSON = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, file), JSON.stringify(data));
+  };
+
+  const configure = (catalog = {}, source = {}) => writeJSON('data/site-config.json', {
+    catalog: { source: { type: 'storefront', endpoint: `http://127.0.0.1:${server.address().port}/api`, ...source }, ...catalog }
+  });
+
+  // A fresh builder each time, as the plugin keeps the catalog it has loaded
+  const loadCatalog = async () => {
+    builder = new PerformanceBuilder({ ...builder.options });
+    builder.dataDir = path.join(rootDir, 'data');
+    await shopPlugin(builder).beforeBuild();
+    return builder.catalog.map(edge => edge.node.handle);
+  };
+
+  const readCache = () => JSON.parse(fs.readFileSync(path.join(rootDir, 'data/cache/catalog.json'), 'utf8'));
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const reply = respond(JSON.parse(body).variables);
+        // No reply leaves the request hanging, like an endpoint that never answers
+        if (!reply) {
+          return;
+        }
+        const [status, data] = reply;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    global.resetMocks();
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+    builder = new PerformanceBuilder({ outDir: path.join(rootDir, 'dist') });
+    respond = () => [200, { data: { products: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [product('hoodie'), product('cap')] } } }];
+    configure();
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('cache and offline builds', () => {
+    test('should cache a live fetch with its query hash', async () => {
+      expect(await loadCatalog()).toEqual(['hoodie', 'cap']);
+
+      const cache = readCache();
+      expect(cache.products.map(edge => edge.node.handle)).toEqual(['hoodie', 'cap']);
+      expect(cache.queryHash).toMatch(/^[0-9a-f]{12}$/);
+      expect(Date.parse(cache.fetchedAt)).not.toBeNaN();
+      expect(builder.catalogSource).toBe(path.join(rootDir, 'data/cache/catalog.json'));
+    });
+
+    test('should fall back to the stale cache when the live fetch fails', async () => {
+      await loadCatalog();
+      respond = () => [502, {}];
+
+      expect(await loadCatalog()).toEqual(['hoodie', 'cap']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Falling back to stale catalog cache'));
+    });
+
+    test('should fail when the live fetch fails and there is no cache', async () => {
+      respond = () => [502, {}];
+
+      await expect(loadCatalog()).rejects.toThrow(/^No catalog data available: live fetch failed \(.* responded with 502\) and there is no usable cache at data\/cache\/catalog\.json$/);
+    });
+
+    test('should give up on an endpoint that never responds and use the cache', async () => {
+      await loadCatalog();
+      respond = () => null;
+      configure({}, { timeout: 0.2 });
+
+      expect(await loadCatalog()).toEqual(['hoodie', 'cap']);
+      expect(console.error).toHaveBeenCalledWith('Failed to fetch shop data:', expect.stringMatching(/did not respond within 0\.2s$/));
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Falling back to stale catalog cache'));
+    });
+
+    test('should not fall back to a cache fetched with a different query', async () => {
+      await loadCatalog();
+      respond = () => [502, {}];
+      configure({ maxProducts: 1 });
+
+      await expect(loadCatalog()).rejects.toThrow('No catalog data available');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('fetched with a different query'));
+    });
+
+    test('should reuse a cache younger than catalog.maxAge without fetching', async () => {
+      await loadCatalog();
+      respond = jest.fn(() => [502, {}]);
+      configure({ maxAge: 15 });
+
+      expect(await loadCatalog()).toEqual(['hoodie', 'cap']);
+      expect(respond).not.toHaveBeenCalled();
+    });
+
+    test('should build offline from the fixture, else the cache, without fetching', async () => {
+      builder.options.offline = true;
+      respond = jest.fn();
+      await expect(loadCatalog()).rejects.toThrow('Offline build needs data/fixtures/catalog.json or a catalog cache');
+
+      builder.options.offline = false;
+      respond.mockReturnValue([200, { data: { products: { pageInfo: { hasNextPage: false }, edges: [product('tee')] } } }]);
+      await loadCatalog();
+      respond.mockClear();
+
+      builder.options.offline = true;
+      expect(await loadCatalog()).toEqual(['tee']);
+      writeJSON('data/fixtures/catalog.json', { products: [product('scarf')] });
+      expect(await loadCatalog()).toEqual(['scarf']);
+      expect(respond).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Storefront pagination', () => {
+    // A catalog of count products, served pageSize at a time with the index of the last product as the cursor
+    const serveCatalog = count => jest.fn(({ first, after }) => {
+      const start = after === null ? 0 : Number(after) + 1;
+      const edges = Array.from({ length: Math.min(first, count - start) }, (_, index) => product(`p${start + index}`));
+      return [200, { data: { products: { pageInfo: { hasNextPage: start + edges.length < count, endCursor: String(start + edges.length - 1) }, edges } } }];
+    });
+
+    test('should follow cursors until the catalog is exhausted', async () => {
+      respond = serveCatalog(5);
+      configure({ pageSize: 2 });
+
+      expect(await loadCatalog()).toEqual(['p0', 'p1', 'p2', 'p3', 'p4']);
+      expect(respond.mock.calls.map(([variables]) => variables)).toEqual([
+        { first: 2, after: null },
+        { first: 2, after: '1' },
+        { first: 2, after: '3' }
+      ]);
+    });
+
+    test('should stop at catalog.maxProducts and say the rest were skipped', async () => {
+      respond = serveCatalog(10);
+      configure({ pageSize: 4, maxProducts: 6 });
+
+      expect(await loadCatalog()).toEqual(['p0', 'p1', 'p2', 'p3', 'p4', 'p5']);
+      expect(respond.mock.calls.map(([variables]) => variables.first)).toEqual([4, 2]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('more products than catalog.maxProducts (6)'));
+    });
+
+    test('should fail on GraphQL errors instead of caching a partial catalog', async () => {
+      respond = () => [200, { errors: [{ message: 'Throttled' }] }];
+
+      await expect(loadCatalog()).rejects.toThrow('live fetch failed (Throttled)');
+      expect(fs.existsSync(path.join(rootDir, 'data/cache/catalog.json'))).toBe(false);
+    });
+
+    test('should reject page sizes the Storefront API does not allow', async () => {
+      configure({ pageSize: 500 });
+      await expect(loadCatalog()).rejects.toThrow('catalog.pageSize in site-config.json must be an integer from 1 to 250 (got 500)');
+
+      configure({ maxProducts: 0 });
+      await expect(loadCatalog()).rejects.toThrow('catalog.maxProducts in site-config.json must be a positive integer (got 0)');
+    });
+
+    test('should share the catalog with every component as @catalog', async () => {
+      await loadCatalog();
+
+      expect(builder.renderTemplate('{{@catalog.count}}: {{#each @catalog.products}}{{title}} {{/each}}', {})).toBe('2: hoodie cap ');
+    });
+  });
+
+  describe('local sources', () => {
+    const loadCSV = csv => {
+      fs.writeFileSync(path.join(rootDir, 'data/products.csv'), csv);
+      writeJSON('data/site-config.json', { catalog: { source: { type: 'csv', path: 'data/products.csv' } } });
+      return loadCatalog().then(() => builder.catalog.map(edge => edge.node));
+    };
+
+    test('should read quoted CSV fields with commas, quotes and line breaks', async () => {
+      const [tee, hoodie] = await loadCSV([
+        '\uFEFFtitle,price,category,variants,description',
+        'Classic Tee,25,T-Shirts,,"Soft, ""breathable""\r\ncotton"',
+        'Hoodie,$60.5,Hoodies,Small|Large=65.00,Warm'
+      ].join('\r\n'));
+
+      expect(tee).toEqual(expect.objectContaining({
+        id: 'local:classic-tee',
+        handle: 'classic-tee',
+        productType: 'T-Shirts',
+        description: 'Soft, "breathable"\r\ncotton'
+      }));
+      expect(tee.variants.edges.map(({ node }) => [node.title, node.price.amount])).toEqual([['Default Title', '25.00']]);
+      expect(hoodie.variants.edges.map(({ node }) => [node.title, node.price.amount, node.price.currencyCode])).toEqual([
+        ['Small', '60.50', 'USD'],
+        ['Large', '65.00', 'USD']
+      ]);
+      expect(builder.catalogSource).toBe(path.join(rootDir, 'data/products.csv'));
+    });
+
+    test('should report CSV errors at the line the row starts on', async () => {
+      await expect(loadCSV('title,price,description\nTee,25,"two\nlines"\nCap,,Hat')).rejects.toThrow('data/products.csv:4: price of "Cap" must be a number, 0 or more (got "")');
+      await expect(loadCSV('title,price\nTee,25\n\nCap,10,extra')).rejects.toThrow('data/products.csv:4: expected 2 columns, found 3');
+      await expect(loadCSV('title,price\nTee,25\n"Cap,10')).rejects.toThrow('data/products.csv:3: unterminated quoted field');
+    });
+
+    test('should check the CSV header', async () => {
+      await expect(loadCSV('title,price,colour\n')).rejects.toThrow('data/products.csv:1: unknown column "colour" (available: title, handle, price');
+      await expect(loadCSV('title,category\n')).rejects.toThrow('data/products.csv:1: missing the "price" column');
+      await expect(loadCSV('')).rejects.toThrow('data/products.csv is empty');
+    });
+
+    test('should reload a local source in watch mode only once it has changed', async () => {
+      const csvPath = path.join(rootDir, 'data/products.csv');
+      fs.writeFileSync(csvPath, 'title,price\nTee,25');
+      writeJSON('data/site-config.json', { catalog: { source: { type: 'csv', path: 'data/products.csv' } } });
+      builder.dataDir = path.join(rootDir, 'data');
+      const plugin = shopPlugin(builder);
+      await plugin.beforeBuild();
+      expect(builder.watchFiles.has(csvPath)).toBe(true);
+
+      const catalog = builder.catalog;
+      await plugin.beforeBuild();
+      expect(builder.catalog).toBe(catalog);
+
+      fs.writeFileSync(csvPath, 'title,price\nTee,25\nCap,10');
+      fs.utimesSync(csvPath, new Date(), new Date(Date.now() + 1000));
+      await plugin.beforeBuild();
+      expect(builder.catalog.map(edge => edge.node.handle)).toEqual(['tee', 'cap']);
+    });
+
+    test('should read JSON records and Storefront edges alike', async () => {
+      writeJSON('data/products.json', { products: [{ title: 'Cap', price: 12, tags: 'summer|sale' }, product('hoodie')] });
+      writeJSON('data/site-config.json', { catalog: { source: { type: 'json', path: 'data/products.json' } } });
+
+      expect(await loadCatalog()).toEqual(['cap', 'hoodie']);
+      expect(builder.catalog[0].node.tags).toEqual(['summer', 'sale']);
+    });
+
+    test('should point at the JSON record that is invalid', async () => {
+      fs.writeFileSync(path.join(rootDir, 'data/products.json'), '[\n  { "title": "Cap", "price": 12 },\n  { "price": 5 }\n]');
+      writeJSON('data/site-config.json', { catalog: { source: { type: 'json', path: 'data/products.json' } } });
+
+      await expect(loadCatalog()).rejects.toThrow('data/products.json:3: product needs a title');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Search Tests
+ * Searches a search-index.json built from a small catalog, as the shop page does
+ */
+
+const { PerformanceBuilder } = require('../build');
+const { prepareSearchEntry, searchProducts } = require('../src/scripts/search');
+
+describe('Product Search', () => {
+  let entries;
+
+  const product = (id, title, productType, description) => ({
+    node: {
+      id,
+      handle: title.toLowerCase().replace(/[^a-z]+/g, '-'),
+      title,
+      productType,
+      tags: [],
+      description,
+      variants: { edges: [{ node: { title: 'Default Title', price: { amount: '50.00', currencyCode: 'USD' } } }] }
+    }
+  });
+
+  const search = query => {
+    const results = searchProducts(entries, query);
+    return results && Array.from(results.keys()).sort((a, b) => results.get(b).score - results.get(a).score);
+  };
+
+  beforeAll(() => {
+    const index = new PerformanceBuilder().getSearchIndex([
+      product('hoodie', 'Women\'s Hoodie', 'Hoodies', 'A warm hoodie.'),
+      product('tee', 'Men\'s T-Shirt', 'Shirts', 'A cotton tee for the summer.'),
+      product('cap', 'Baseball Cap', 'Hats', 'Keeps the sun off.')
+    ]);
+    entries = index.products.map(prepareSearchEntry);
+  });
+
+  test('should skip stop words in multi-word queries', () => {
+    expect(search('hoodie for women')).toEqual(['hoodie']);
+    expect(search('the hoodie')).toEqual(['hoodie']);
+    expect(search('a cap')).toEqual(['cap']);
+  });
+
+  test('should not search for a query of only stop words', () => {
+    expect(search('')).toBeNull();
+    expect(search('for the')).toBeNull();
+  });
+
+  test('should match prefixes and typos, and need every word to match', () => {
+    expect(search('hoo')).toEqual(['hoodie']);
+    expect(search('hodie')).toEqual(['hoodie']);
+    expect(search('hoodie men')).toEqual([]);
+  });
+
+  test('should rank title matches above description matches', () => {
+    expect(search('shirt')).toEqual(['tee']);
+    expect(search('sun')).toEqual(['cap']);
+    expect(searchProducts(entries, 'hoodie').get('hoodie').matched).toEqual(new Map([['hoodie', 6]]));
+  });
+});